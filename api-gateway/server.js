@@ -4,62 +4,221 @@ const helmet = require('helmet');
 const cors = require('cors');
 const axios = require('axios');
 const serviceRegistry = require('../shared/serviceRegistry');
+const tokenRevocation = require('../shared/tokenRevocation');
+const auth = require('../shared/auth');
+const CircuitBreaker = require('../shared/CircuitBreaker');
+const pagination = require('../shared/pagination');
 
 const app = express();
 const port = process.env.PORT || 3000;
 
-// Circuit breaker state
-const circuitBreaker = {
-  'user-service': { failures: 0, open: false, lastFail: null },
-  'item-service': { failures: 0, open: false, lastFail: null },
-  'list-service': { failures: 0, open: false, lastFail: null }
-};
-const MAX_FAILURES = 3;
-const CIRCUIT_TIMEOUT = 60000; // 1 min
+// Origem pública dos links de paginação: PUBLIC_BASE_URL (ex.: https://compras.exemplo.com) ou a própria
+// requisição. X-Forwarded-Proto/Host de um proxy à frente do gateway só valem se TRUST_PROXY confiar nele.
+const PUBLIC_BASE_URL = process.env.PUBLIC_BASE_URL ? new URL(process.env.PUBLIC_BASE_URL) : null;
+app.set('trust proxy', auth.trustProxySetting(process.env.TRUST_PROXY, false));
+
+// Circuit breakers por serviço (ver shared/CircuitBreaker.js). Serviços não listados usam `defaults`.
+const circuitBreakers = new CircuitBreaker.Registry({
+  defaults: { windowMs: 60000, minimumRequests: 5, failureRateThreshold: 0.5, openTimeoutMs: 30000, halfOpenMaxRequests: 3 },
+  services: {
+    'user-service': { minimumRequests: 5, failureRateThreshold: 0.5, openTimeoutMs: 15000, halfOpenMaxRequests: 2 },
+    'item-service': { minimumRequests: 10, failureRateThreshold: 0.5, openTimeoutMs: 30000, halfOpenMaxRequests: 3 },
+    'list-service': { minimumRequests: 5, failureRateThreshold: 0.5, openTimeoutMs: 30000, halfOpenMaxRequests: 3 }
+  }
+});
+
+// Timeout e retries por rota: a primeira regra que casar define a política; campos ausentes vêm de
+// DEFAULT_ROUTE_POLICY. Só são repetidos métodos idempotentes e POSTs com Idempotency-Key nas rotas
+// cujo serviço guarda a resposta da chave (IDEMPOTENT_POST_ROUTES).
+const DEFAULT_ROUTE_POLICY = { timeoutMs: 5000, retries: 2, retryBaseMs: 100, retryMaxMs: 2000 };
+const ROUTE_POLICIES = [
+  { methods: ['POST'], pattern: /^\/api\/auth\/(register|login|reset)\/?$/, timeoutMs: 10000 },
+  { pattern: /^\/api\/admin(\/.*)?$/, timeoutMs: 10000 },
+  { pattern: /^\/api\/(dashboard|search)\/?$/, timeoutMs: 8000 },
+  { pattern: /^\/api\/items\/(import|export)\/?$/, timeoutMs: 30000, retries: 0 },
+  { methods: ['GET'], pattern: /^\/api\/(items|categories)(\/.*)?$/, timeoutMs: 3000, retries: 3 }
+];
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'OPTIONS', 'PUT', 'DELETE'];
+// POSTs que usam o middleware de Idempotency-Key (shared/idempotency.js) no list-service
+const IDEMPOTENT_POST_ROUTES = [/^\/api\/lists\/?$/, /^\/api\/lists\/[^/]+\/(items|collaborators)\/?$/];
+// Headers das respostas dos serviços repassados ao cliente
+const PASSTHROUGH_RESPONSE_HEADERS = ['idempotent-replayed', 'retry-after', 'location', 'etag', 'content-disposition', 'link', 'x-total-count'];
+const RETRYABLE_STATUS = [502, 503, 504];
+// Listas mais recentes exibidas no dashboard
+const DASHBOARD_RECENT_LISTS = 10;
+
+// Autenticação por rota: a primeira regra que casar com método e caminho define o acesso.
+// `queryToken` aceita o JWT em ?token= (EventSource não envia headers).
+const ROUTE_AUTH = [
+  { methods: ['POST'], pattern: /^\/api\/auth\/(register|login|refresh|forgot|reset)\/?$/, access: 'public' },
+  { methods: ['GET'], pattern: /^\/api\/items\/export\/?$/, access: 'protected' },
+  { methods: ['GET'], pattern: /^\/api\/(items|categories)(\/.*)?$/, access: 'public' },
+  { methods: ['GET'], pattern: /^\/api\/search\/suggest\/?$/, access: 'public' },
+  { methods: ['GET'], pattern: /^\/api\/lists\/[^/]+\/events\/?$/, access: 'protected', queryToken: true },
+  { pattern: /^\/api(\/.*)?$/, access: 'protected' }
+];
 
 app.use(helmet());
 app.use(cors());
+// Importação do catálogo: aceita CSV e bodies maiores que o limite padrão
+app.use('/api/items/import',
+  express.json({ limit: '5mb' }),
+  express.text({ type: ['text/csv', 'text/plain'], limit: '5mb' }));
 app.use(express.json());
+// Logs de acesso sem o JWT de ?token=
+morgan.token('url', req => auth.stripQueryToken(req.originalUrl || req.url));
 app.use(morgan('combined'));
+app.use((req, res, next) => {
+  req.publicOrigin = publicOrigin(req);
+  next();
+});
 
-// Service discovery helper
-function getServiceUrl(serviceName) {
+function publicOrigin(req) {
+  if (PUBLIC_BASE_URL) {
+    return {
+      proto: PUBLIC_BASE_URL.protocol.slice(0, -1),
+      host: PUBLIC_BASE_URL.host,
+      prefix: PUBLIC_BASE_URL.pathname.replace(/\/+$/, '')
+    };
+  }
+  const trustedProxy = app.get('trust proxy fn')(req.socket.remoteAddress, 0);
+  const forwardedHost = trustedProxy && req.get('X-Forwarded-Host');
+  return {
+    proto: req.protocol === 'https' ? 'https' : 'http',
+    host: forwardedHost ? forwardedHost.split(',')[0].trim() : req.get('Host'),
+    prefix: ''
+  };
+}
+
+// Service discovery helpers
+// Instância escolhida pelo balanceamento do registry; `exclude` lista ids que já falharam
+function getServiceInstance(serviceName, exclude = []) {
   try {
-    const service = serviceRegistry.discover(serviceName);
-    return service.url;
+    return serviceRegistry.discover(serviceName, { exclude });
   } catch (err) {
     return null;
   }
 }
 
+function getServiceUrl(serviceName) {
+  const instance = getServiceInstance(serviceName);
+  return instance ? instance.url : null;
+}
+
+// Conexão não estabelecida: a requisição não chegou ao serviço, então pode ir para outra instância
+// mesmo em métodos não idempotentes
+function isConnectionError(error) {
+  return !error.response && ['ECONNREFUSED', 'EHOSTUNREACH', 'ENOTFOUND'].includes(error.code);
+}
+
+function markInstanceDown(serviceName, instance, error) {
+  console.warn(`[API-GW] Instância ${instance.id} indisponível (${error.code}); removida do balanceamento`);
+  serviceRegistry.updateHealth(serviceName, false, instance.id);
+}
+
+function rejectNoInstance(serviceName, failedInstances, res) {
+  return res.status(503).json({
+    success: false,
+    message: failedInstances.length > 0
+      ? `Nenhuma instância disponível de ${serviceName}`
+      : `Serviço não encontrado: ${serviceName}`
+  });
+}
+
 // Circuit breaker helper
-function canRequest(serviceName) {
-  const state = circuitBreaker[serviceName];
-  if (!state) return true;
-  if (!state.open) return true;
-  // Check if timeout expired
-  if (Date.now() - state.lastFail > CIRCUIT_TIMEOUT) {
-    state.open = false;
-    state.failures = 0;
-    return true;
+function rejectOpenCircuit(breaker, res) {
+  const retryAt = breaker.getRetryAt();
+  if (retryAt) {
+    res.set('Retry-After', String(Math.max(Math.ceil((Date.parse(retryAt) - Date.now()) / 1000), 1)));
   }
-  return false;
+  res.status(503).json({
+    success: false,
+    message: `Serviço temporariamente indisponível (circuit breaker ${breaker.state})`,
+    retryAt
+  });
+}
+
+function findRoutePolicy(req) {
+  const rule = ROUTE_POLICIES.find(rule =>
+    (!rule.methods || rule.methods.includes(req.method.toUpperCase())) && rule.pattern.test(req.path)
+  );
+  return { ...DEFAULT_ROUTE_POLICY, ...(rule || {}) };
+}
+
+function canRetry(req) {
+  const method = req.method.toUpperCase();
+  return IDEMPOTENT_METHODS.includes(method) || (method === 'POST' && !!req.header('Idempotency-Key') &&
+    IDEMPOTENT_POST_ROUTES.some(pattern => pattern.test(req.path)));
+}
+
+// 409 com Retry-After: a mesma Idempotency-Key ainda está em processamento em outra tentativa
+function isRetryableError(error) {
+  if (!error.response) return true;
+  const { status, headers } = error.response;
+  return RETRYABLE_STATUS.includes(status) || (status === 409 && headers['retry-after'] !== undefined);
+}
+
+function isTimeout(error) {
+  return error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT';
 }
-function recordFailure(serviceName) {
-  const state = circuitBreaker[serviceName];
-  if (!state) return;
-  state.failures++;
-  if (state.failures >= MAX_FAILURES) {
-    state.open = true;
-    state.lastFail = Date.now();
-    console.warn(`Circuit breaker OPEN for ${serviceName}`);
+
+// Backoff exponencial com jitter total: espera aleatória entre 0 e min(max, base * 2^(tentativa - 1))
+function retryDelay(policy, attempt) {
+  return Math.random() * Math.min(policy.retryMaxMs, policy.retryBaseMs * 2 ** (attempt - 1));
+}
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+function sendProxiedResponse(res, response) {
+  PASSTHROUGH_RESPONSE_HEADERS.forEach(name => {
+    if (response.headers[name] !== undefined) res.set(name, response.headers[name]);
+  });
+  // Respostas que não são JSON (ex.: export do catálogo em CSV) são repassadas como vieram
+  const contentType = response.headers['content-type'];
+  if (contentType && !contentType.includes('json')) {
+    return res.status(response.status).type(contentType).send(response.data);
   }
+  res.status(response.status).json(response.data);
 }
-function recordSuccess(serviceName) {
-  const state = circuitBreaker[serviceName];
-  if (!state) return;
-  state.failures = 0;
-  state.open = false;
+
+function findRouteAuth(req) {
+  return ROUTE_AUTH.find(rule =>
+    (!rule.methods || rule.methods.includes(req.method.toUpperCase())) && rule.pattern.test(req.path)
+  );
+}
+
+// Verifica o JWT uma única vez no gateway e repassa a identidade assinada aos serviços
+function gatewayAuthMiddleware(req, res, next) {
+  // Nunca repassar uma identidade enviada pelo cliente
+  delete req.headers[auth.IDENTITY_HEADER];
+
+  const rule = findRouteAuth(req);
+  if (!rule || rule.access === 'public') {
+    return next();
+  }
+
+  const queryToken = rule.queryToken ? req.query.token : null;
+  if (queryToken) {
+    // O token não segue para o serviço: a identidade vai no header assinado
+    delete req.query.token;
+    req.url = auth.stripQueryToken(req.url);
+    req.originalUrl = auth.stripQueryToken(req.originalUrl);
+  }
+  const token = auth.bearerToken(req) || queryToken;
+  if (!token) {
+    return res.status(401).json({ success: false, message: 'Token obrigatório' });
+  }
+  try {
+    req.user = auth.verifyToken(token);
+    req.headers[auth.IDENTITY_HEADER] = auth.signIdentity(req.user);
+    next();
+  } catch (error) {
+    if (!(error instanceof auth.AuthError)) {
+      console.error('Erro de autenticação no gateway:', error);
+      return res.status(401).json({ success: false, message: 'Token inválido' });
+    }
+    res.status(error.status).json({ success: false, message: error.message });
+  }
 }
 
 // Proxy handler
@@ -71,57 +230,194 @@ function getTargetPath(req, pathPrefix) {
     if (newPath === '' || newPath === '/') {
       return pathPrefix.replace('/api', '');
     }
-    if (!newPath.startsWith('/')) newPath = '/' + newPath;
+    if (!newPath.startsWith('/') && !newPath.startsWith('?')) newPath = '/' + newPath;
     return pathPrefix.replace('/api', '') + newPath;
   }
   return req.originalUrl;
 }
 
-async function proxyRequest(serviceName, req, res, pathPrefix) {
-  if (!canRequest(serviceName)) {
-    return res.status(503).json({ success: false, message: `Serviço temporariamente indisponível (circuit breaker)` });
-  }
-  const baseUrl = getServiceUrl(serviceName);
-  if (!baseUrl) {
-    return res.status(503).json({ success: false, message: `Serviço não encontrado: ${serviceName}` });
-  }
+function buildTargetUrl(baseUrl, req, pathPrefix) {
   const targetPath = getTargetPath(req, pathPrefix);
   const cleanBaseUrl = baseUrl.endsWith('/') ? baseUrl.slice(0, -1) : baseUrl;
   // Garante que targetPath sempre começa com /
   const cleanTargetPath = targetPath.startsWith('/') ? targetPath : '/' + targetPath;
-  const targetUrl = cleanBaseUrl + cleanTargetPath;
+  return cleanBaseUrl + cleanTargetPath;
+}
+
+async function proxyRequest(serviceName, req, res, pathPrefix) {
+  const breaker = circuitBreakers.get(serviceName);
+  const policy = findRoutePolicy(req);
+  const maxAttempts = canRetry(req) ? policy.retries + 1 : 1;
+  // Remove headers que podem causar problemas
+  const { host, 'content-length': _cl, ...forwardHeaders } = req.headers;
+  // Repassar o IP do cliente (usado, por exemplo, na proteção do login)
+  forwardHeaders['x-forwarded-for'] = req.headers['x-forwarded-for']
+    ? `${req.headers['x-forwarded-for']}, ${req.ip}`
+    : req.ip;
+  // URL pública da requisição, assinada: os serviços montam os links de paginação (header Link) com ela
+  Object.assign(forwardHeaders, auth.signForwardedHeaders({
+    ...req.publicOrigin,
+    prefix: `${req.publicOrigin.prefix}/api`
+  }));
+  // Só envia body em métodos que aceitam
+  const hasBody = ['POST', 'PUT', 'PATCH'].includes(req.method.toUpperCase());
+
+  const failedInstances = [];
+  let attempt = 1;
+  for (;;) {
+    const instance = getServiceInstance(serviceName, failedInstances);
+    if (!instance) {
+      return rejectNoInstance(serviceName, failedInstances, res);
+    }
+    if (!breaker.tryAcquire()) {
+      return rejectOpenCircuit(breaker, res);
+    }
+    const targetUrl = buildTargetUrl(instance.url, req, pathPrefix);
+    const done = serviceRegistry.trackConnection(instance.id);
+    try {
+      console.log(`[API-GW] ${req.method} ${req.originalUrl} => ${targetUrl}${attempt > 1 ? ` (tentativa ${attempt})` : ''}`);
+      const axiosConfig = {
+        method: req.method,
+        url: targetUrl,
+        headers: forwardHeaders,
+        timeout: policy.timeoutMs
+      };
+      if (hasBody) axiosConfig.data = req.body;
+      const response = await axios(axiosConfig);
+      console.log(`[API-GW] ${targetUrl} -> ${response.status}`);
+      breaker.recordSuccess();
+      return sendProxiedResponse(res, response);
+    } catch (error) {
+      if (isConnectionError(error)) {
+        // Failover: não conta como tentativa nem como falha do serviço enquanto houver outras instâncias
+        breaker.release();
+        markInstanceDown(serviceName, instance, error);
+        failedInstances.push(instance.id);
+        continue;
+      }
+      if (CircuitBreaker.isFailure(error)) {
+        breaker.recordFailure();
+      } else {
+        breaker.recordSuccess();
+      }
+      if (attempt < maxAttempts && isRetryableError(error)) {
+        const delay = retryDelay(policy, attempt);
+        console.log(`[API-GW] ${targetUrl} -> ${error.response ? error.response.status : error.code}; nova tentativa em ${Math.round(delay)}ms`);
+        attempt++;
+        await sleep(delay);
+        continue;
+      }
+      if (error.response) {
+        console.log(`[API-GW] ${targetUrl} -> ${error.response.status}`);
+        return sendProxiedResponse(res, error.response);
+      }
+      if (isTimeout(error)) {
+        console.log(`[API-GW] ${targetUrl} -> 504`);
+        return res.status(504).json({ success: false, message: `Tempo limite excedido aguardando ${serviceName}` });
+      }
+      console.log(`[API-GW] ${targetUrl} -> 500`);
+      return res.status(500).json({ success: false, message: 'Erro ao encaminhar requisição' });
+    } finally {
+      done();
+    }
+  }
+}
+
+// Proxy de streams SSE: repassa os eventos sem bufferizar a resposta
+async function proxyStream(serviceName, req, res, pathPrefix) {
+  const breaker = circuitBreakers.get(serviceName);
+  const failedInstances = [];
+  for (;;) {
+    const instance = getServiceInstance(serviceName, failedInstances);
+    if (!instance) {
+      return rejectNoInstance(serviceName, failedInstances, res);
+    }
+    if (!breaker.tryAcquire()) {
+      return rejectOpenCircuit(breaker, res);
+    }
+    const outcome = await streamFromInstance(serviceName, instance, breaker, req, res, pathPrefix);
+    if (outcome !== 'failover') return;
+    failedInstances.push(instance.id);
+  }
+}
+
+// Retorna 'failover' se a instância não aceitou a conexão; a conexão fica contada até o stream terminar
+async function streamFromInstance(serviceName, instance, breaker, req, res, pathPrefix) {
+  const targetUrl = buildTargetUrl(instance.url, req, pathPrefix);
+  const done = serviceRegistry.trackConnection(instance.id);
+  const controller = new AbortController();
+  const onClose = () => {
+    controller.abort();
+    done();
+  };
+  req.on('close', onClose);
   try {
-    console.log(`[API-GW] ${req.method} ${req.originalUrl} => ${targetUrl}`);
-    // Remove headers que podem causar problemas
-    const { host, 'content-length': _cl, ...forwardHeaders } = req.headers;
-    // Só envia body em métodos que aceitam
-    const hasBody = ['POST', 'PUT', 'PATCH'].includes(req.method.toUpperCase());
-    const axiosConfig = {
-      method: req.method,
+    console.log(`[API-GW] STREAM ${req.originalUrl} => ${targetUrl}`);
+    const { host, ...forwardHeaders } = req.headers;
+    const response = await axios({
+      method: 'GET',
       url: targetUrl,
-      headers: forwardHeaders
-    };
-    if (hasBody) axiosConfig.data = req.body;
-    const response = await axios(axiosConfig);
-    console.log(`[API-GW] ${targetUrl} -> ${response.status}`);
-    recordSuccess(serviceName);
-    res.status(response.status).json(response.data);
+      headers: forwardHeaders,
+      responseType: 'stream',
+      signal: controller.signal,
+      validateStatus: () => true
+    });
+    if (response.status !== 200) {
+      // Erros do serviço chegam como stream: ler o corpo JSON e repassar
+      if (response.status >= 500) {
+        breaker.recordFailure();
+      } else {
+        breaker.recordSuccess();
+      }
+      let body = '';
+      for await (const chunk of response.data) body += chunk;
+      done();
+      console.log(`[API-GW] ${targetUrl} -> ${response.status}`);
+      try {
+        return res.status(response.status).json(JSON.parse(body));
+      } catch (e) {
+        return res.status(response.status).send(body);
+      }
+    }
+    breaker.recordSuccess();
+    res.status(200).set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    response.data.pipe(res);
+    response.data.on('end', () => res.end());
+    response.data.on('error', () => res.end());
   } catch (error) {
-    recordFailure(serviceName);
-    if (error.response) {
-      console.log(`[API-GW] ${targetUrl} -> ${error.response.status}`);
-      res.status(error.response.status).json(error.response.data);
-    } else {
-      console.log(`[API-GW] ${targetUrl} -> 500`);
-      res.status(500).json({ success: false, message: 'Erro ao encaminhar requisição' });
+    done();
+    if (controller.signal.aborted) {
+      breaker.release();
+      return;
+    }
+    if (isConnectionError(error)) {
+      breaker.release();
+      req.removeListener('close', onClose);
+      markInstanceDown(serviceName, instance, error);
+      return 'failover';
     }
+    breaker.recordFailure();
+    console.log(`[API-GW] ${targetUrl} -> 500`);
+    res.status(500).json({ success: false, message: 'Erro ao encaminhar stream' });
   }
 }
 
+app.use(gatewayAuthMiddleware);
+
 // Roteamento reverso
+app.get('/api/lists/:id/events', (req, res) => proxyStream('list-service', req, res, '/api/lists'));
 app.all('/api/auth*', (req, res) => proxyRequest('user-service', req, res, '/api/auth'));
 app.all('/api/users*', (req, res) => proxyRequest('user-service', req, res, '/api/users'));
+app.all('/api/admin*', (req, res) => proxyRequest('user-service', req, res, '/api/admin'));
 app.all('/api/items*', (req, res) => proxyRequest('item-service', req, res, '/api/items'));
+app.all('/api/categories*', (req, res) => proxyRequest('item-service', req, res, '/api/categories'));
+app.get('/api/search/suggest', (req, res) => proxyRequest('item-service', req, res, '/api/search'));
 app.all('/api/lists*', (req, res) => proxyRequest('list-service', req, res, '/api/lists'));
 
 // Health check de todos os serviços
@@ -132,13 +428,15 @@ app.get('/health', async (req, res) => {
     try {
       const url = getServiceUrl(name);
       if (!url) throw new Error('Não encontrado');
-      const resp = await axios.get(url + '/health');
+      const resp = await axios.get(url + '/health', { timeout: DEFAULT_ROUTE_POLICY.timeoutMs });
       results[name] = resp.data;
     } catch (e) {
       results[name] = { status: 'unhealthy', error: e.message };
     }
   }
-  res.json(results);
+  // Sem sincronizar a lista de revogação o gateway recusa JWTs (503)
+  results.tokenRevocation = tokenRevocation.getStatus();
+  res.status(results.tokenRevocation.stale ? 503 : 200).json(results);
 });
 
 // Registry
@@ -146,6 +444,36 @@ app.get('/registry', (req, res) => {
   res.json(serviceRegistry.listServices());
 });
 
+// Estado dos circuit breakers
+app.get('/circuit-breakers', (req, res) => {
+  res.json({ success: true, data: circuitBreakers.list() });
+});
+
+// Reset manual de um breaker (admin)
+app.post('/circuit-breakers/:service/reset', (req, res) => {
+  const token = auth.bearerToken(req);
+  if (!token) {
+    return res.status(401).json({ success: false, message: 'Token obrigatório' });
+  }
+  let user;
+  try {
+    user = auth.verifyToken(token);
+  } catch (error) {
+    return res.status(error instanceof auth.AuthError ? error.status : 401)
+      .json({ success: false, message: error instanceof auth.AuthError ? error.message : 'Token inválido' });
+  }
+  if (user.role !== 'admin') {
+    return res.status(403).json({ success: false, message: 'Acesso restrito a administradores' });
+  }
+  if (!circuitBreakers.has(req.params.service)) {
+    return res.status(404).json({ success: false, message: `Circuit breaker não encontrado: ${req.params.service}` });
+  }
+  const breaker = circuitBreakers.get(req.params.service);
+  breaker.reset();
+  console.warn(`Circuit breaker ${breaker.name} resetado manualmente por ${user.username}`);
+  res.json({ success: true, message: 'Circuit breaker resetado', data: breaker.toJSON() });
+});
+
 // Health checks automáticos
 setInterval(() => {
   try {
@@ -156,25 +484,16 @@ setInterval(() => {
 }, 30000);
 
 
-// Middleware JWT para endpoints agregados
-const jwt = require('jsonwebtoken');
-function jwtAuthMiddleware(req, res, next) {
-  const authHeader = req.header('Authorization');
-  if (!authHeader?.startsWith('Bearer ')) {
-    return res.status(401).json({ success: false, message: 'Token obrigatório' });
-  }
-  const token = authHeader.replace('Bearer ', '');
-  try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET || 'user-service-secret-key-puc-minas');
-    req.user = decoded;
-    next();
-  } catch (error) {
-    res.status(401).json({ success: false, message: 'Token inválido' });
-  }
+// Configuração das chamadas internas dos endpoints agregados (usuário já autenticado pelo gateway)
+function internalRequestConfig(req) {
+  return {
+    headers: { 'X-User-Identity': auth.signIdentity(req.user) },
+    timeout: findRoutePolicy(req).timeoutMs
+  };
 }
 
 // /api/dashboard
-app.get('/api/dashboard', jwtAuthMiddleware, async (req, res) => {
+app.get('/api/dashboard', async (req, res) => {
   try {
     const userUrl = getServiceUrl('user-service');
     const listUrl = getServiceUrl('list-service');
@@ -183,25 +502,21 @@ app.get('/api/dashboard', jwtAuthMiddleware, async (req, res) => {
       return res.status(503).json({ success: false, message: 'Serviços indisponíveis' });
     }
     // Buscar dados do usuário
-    const userResp = await axios.get(`${userUrl}/users/${req.user.id}`, {
-      headers: { Authorization: req.header('Authorization') }
-    });
+    const userResp = await axios.get(`${userUrl}/users/${req.user.id}`, internalRequestConfig(req));
     const user = userResp.data.data;
-    // Buscar listas do usuário
+    // Listas alteradas mais recentemente (as demais ficam em GET /api/lists, paginado)
     const listsResp = await axios.get(`${listUrl}/lists`, {
-      headers: { Authorization: req.header('Authorization') }
+      ...internalRequestConfig(req),
+      params: { sort: '-updatedAt', pageSize: DASHBOARD_RECENT_LISTS }
     });
     const lists = listsResp.data.data || [];
-    // Buscar todos os itens
-    const itemsResp = await axios.get(`${itemUrl}/items`);
-    const items = itemsResp.data.data || [];
-
-    // Estatísticas
-    const totalLists = lists.length;
-    const totalItemsInLists = lists.reduce((sum, l) => sum + (l.items?.length || 0), 0);
-    const totalPurchased = lists.reduce((sum, l) => sum + (l.items?.filter(i => i.purchased).length || 0), 0);
-    const totalEstimated = lists.reduce((sum, l) => sum + (l.summary?.estimatedTotal || 0), 0);
-    const totalCatalogItems = items.length;
+    // Estatísticas calculadas nos próprios serviços (pipeline de agregação do JsonDatabase)
+    const [listStatsResp, itemStatsResp] = await Promise.all([
+      axios.get(`${listUrl}/lists/stats`, internalRequestConfig(req)),
+      axios.get(`${itemUrl}/items/stats`, { timeout: findRoutePolicy(req).timeoutMs })
+    ]);
+    const listStats = listStatsResp.data.data;
+    const itemStats = itemStatsResp.data.data;
 
     res.json({
       success: true,
@@ -215,13 +530,14 @@ app.get('/api/dashboard', jwtAuthMiddleware, async (req, res) => {
           role: user.role
         },
         stats: {
-          totalLists,
-          totalItemsInLists,
-          totalPurchased,
-          totalEstimated,
-          totalCatalogItems
+          ...listStats.totals,
+          totalCatalogItems: itemStats.totals.totalItems,
+          spendByCategory: listStats.spendByCategory,
+          topProducts: listStats.topProducts,
+          catalogByCategory: itemStats.byCategory
         },
-        lists
+        lists,
+        totalLists: listsResp.data.pagination.total
       }
     });
   } catch (error) {
@@ -231,37 +547,65 @@ app.get('/api/dashboard', jwtAuthMiddleware, async (req, res) => {
 });
 
 
-// /api/search
-app.get('/api/search', jwtAuthMiddleware, async (req, res) => {
+// Busca ranqueada em um serviço: os `count` primeiros resultados, seguindo o cursor das páginas
+async function fetchRankedResults(url, q, count, config) {
+  const results = [];
+  let total = 0;
+  let cursor;
+  do {
+    const response = await axios.get(url, {
+      ...config,
+      params: { q, pageSize: pagination.MAX_PAGE_SIZE, ...(cursor && { cursor }) }
+    });
+    results.push(...response.data.data);
+    total = response.data.pagination.total;
+    cursor = response.data.pagination.nextCursor;
+  } while (cursor && results.length < count);
+  return { total, results: results.slice(0, count) };
+}
+
+// /api/search: listas do usuário e itens do catálogo, mesclados por relevância (?q=&page=&pageSize=).
+// As pontuações vêm de índices diferentes; cada uma é dividida pela maior do seu serviço antes da mescla.
+app.get('/api/search', async (req, res) => {
   const q = req.query.q;
-  if (!q) return res.status(400).json({ success: false, message: 'Query obrigatória (?q=termo)' });
+  if (!q || !q.trim()) return res.status(400).json({ success: false, message: 'Query obrigatória (?q=termo)' });
   try {
+    const listQuery = pagination.parseListQuery(req.query);
+    // O cursor da busca global guarda a posição na lista mesclada
+    const start = listQuery.skip;
+    const end = start + listQuery.pageSize;
     const listUrl = getServiceUrl('list-service');
     const itemUrl = getServiceUrl('item-service');
     if (!listUrl || !itemUrl) {
       return res.status(503).json({ success: false, message: 'Serviços indisponíveis' });
     }
-    // Buscar listas do usuário
-    const listsResp = await axios.get(`${listUrl}/lists`, {
-      headers: { Authorization: req.header('Authorization') }
-    });
-    const lists = listsResp.data.data || [];
-    // Filtrar listas por nome/descrição
-    const filteredLists = lists.filter(l =>
-      (l.name && l.name.toLowerCase().includes(q.toLowerCase())) ||
-      (l.description && l.description.toLowerCase().includes(q.toLowerCase()))
-    );
-    // Buscar itens por nome
-    const itemsResp = await axios.get(`${itemUrl}/search?q=${encodeURIComponent(q)}`);
-    const items = itemsResp.data.data || [];
-    res.json({
-      success: true,
+    // Os `end` primeiros de cada serviço bastam para montar a página mesclada
+    const [lists, items] = await Promise.all([
+      fetchRankedResults(`${listUrl}/lists/search`, q, end, internalRequestConfig(req)),
+      fetchRankedResults(`${itemUrl}/search`, q, end, { timeout: findRoutePolicy(req).timeoutMs })
+    ]);
+    const rank = (type, { results }) => results.map(result => ({
+      type,
+      score: Math.round((result.score / results[0].score) * 1000) / 1000,
+      data: result
+    }));
+    const merged = [...rank('list', lists), ...rank('item', items)]
+      .sort((a, b) => b.score - a.score)
+      .slice(start, end);
+    pagination.sendPage(req, res, {
       data: {
-        lists: filteredLists,
-        items
-      }
+        query: q,
+        results: merged,
+        lists: merged.filter(result => result.type === 'list').map(result => result.data),
+        items: merged.filter(result => result.type === 'item').map(result => result.data),
+        totals: { lists: lists.total, items: items.total }
+      },
+      pagination: pagination.offsetPagination(listQuery, lists.total + items.total)
     });
   } catch (error) {
+    if (error.code === 'INVALID_QUERY') {
+      return res.status(400).json({ success: false, message: error.message });
+    }
     console.error('Erro no search:', error.message);
     res.status(500).json({ success: false, message: 'Erro ao buscar dados globais' });
   }
@@ -275,4 +619,5 @@ app.listen(port, () => {
   console.log('=====================================');
   console.log(`API Gateway iniciado na porta ${port}`);
   console.log('=====================================');
+  tokenRevocation.startSync();
 });
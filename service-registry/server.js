@@ -0,0 +1,232 @@
+const express = require('express');
+const cors = require('cors');
+const helmet = require('helmet');
+const morgan = require('morgan');
+const crypto = require('crypto');
+
+const InMemoryServiceRegistry = require('../shared/InMemoryServiceRegistry');
+
+// Tempo máximo que uma requisição de watch fica aberta aguardando alterações
+const MAX_WATCH_WAIT_MS = 60000;
+// Intervalo da varredura de instâncias com lease expirada
+const EVICTION_INTERVAL_MS = Number(process.env.REGISTRY_EVICTION_INTERVAL_MS) || 1000;
+
+// Registry como processo próprio: os serviços e o gateway usam shared/HttpServiceRegistry.js
+// (REGISTRY_BACKEND=http) em vez do arquivo compartilhado
+class RegistryServer {
+    constructor() {
+        this.app = express();
+        this.port = process.env.PORT || 3004;
+        this.serviceName = 'service-registry';
+        this.token = process.env.REGISTRY_TOKEN || null;
+        this.setupRegistry();
+        this.setupMiddleware();
+        this.setupRoutes();
+        this.setupErrorHandling();
+    }
+
+    setupRegistry() {
+        // Instâncias de outras máquinas: só a lease define se estão ativas
+        this.registry = new InMemoryServiceRegistry({ checkPid: false });
+        // Versão do registry, incrementada a cada alteração (usada pelo watch)
+        this.index = 1;
+        this.registry.on('change', () => {
+            this.index++;
+        });
+    }
+
+    setupMiddleware() {
+        this.app.use(helmet());
+        this.app.use(cors());
+        this.app.use(morgan('combined', {
+            // Heartbeats e watches são frequentes demais para o log
+            skip: req => req.path === '/watch' || req.path.endsWith('/lease')
+        }));
+        this.app.use(express.json());
+        this.app.use((req, res, next) => {
+            res.setHeader('X-Service', this.serviceName);
+            next();
+        });
+    }
+
+    // Token compartilhado opcional (REGISTRY_TOKEN) exigido em todas as rotas exceto /health
+    requireToken(req, res, next) {
+        if (!this.token) return next();
+        const provided = Buffer.from(req.header('X-Registry-Token') || '');
+        const expected = Buffer.from(this.token);
+        if (provided.length !== expected.length || !crypto.timingSafeEqual(provided, expected)) {
+            return res.status(401).json({ success: false, message: 'Token do registry inválido' });
+        }
+        next();
+    }
+
+    setupRoutes() {
+        // Health check
+        this.app.get('/health', (req, res) => {
+            res.json({
+                service: this.serviceName,
+                status: 'healthy',
+                timestamp: new Date().toISOString(),
+                uptime: process.uptime(),
+                version: '1.0.0',
+                registry: this.registry.getStats()
+            });
+        });
+
+        this.app.use(this.requireToken.bind(this));
+
+        // Serviços registrados, com suas instâncias
+        this.app.get('/services', (req, res) => {
+            res.json({ success: true, data: this.registry.listServices() });
+        });
+
+        // Limpar o registry (desenvolvimento)
+        this.app.delete('/services', (req, res) => {
+            this.registry.clear();
+            res.json({ success: true, message: 'Registry limpo' });
+        });
+
+        // Instâncias de um serviço (?healthy=true para só as saudáveis)
+        this.app.get('/services/:name/instances', (req, res) => {
+            const instances = this.registry.getInstances(req.params.name, { healthyOnly: req.query.healthy === 'true' });
+            res.json({ success: true, data: instances });
+        });
+
+        // Registrar instância
+        this.app.post('/services/:name/instances', (req, res) => {
+            try {
+                const { url, instanceId, pid, leaseTtlMs } = req.body;
+                if (typeof url !== 'string' || !/^https?:\/\//.test(url)) {
+                    return res.status(400).json({ success: false, message: 'url obrigatória (http:// ou https://)' });
+                }
+                if (instanceId !== undefined && (typeof instanceId !== 'string' || !instanceId)) {
+                    return res.status(400).json({ success: false, message: 'instanceId deve ser um texto' });
+                }
+                if (pid !== undefined && !Number.isInteger(pid)) {
+                    return res.status(400).json({ success: false, message: 'pid deve ser um número inteiro' });
+                }
+                if (leaseTtlMs !== undefined && !(Number.isInteger(leaseTtlMs) && leaseTtlMs > 0)) {
+                    return res.status(400).json({ success: false, message: 'leaseTtlMs deve ser um inteiro positivo' });
+                }
+
+                // Sem instanceId/pid (cliente que não usa HttpServiceRegistry) o id é gerado aqui
+                const id = this.registry.register(req.params.name, {
+                    ...req.body,
+                    instanceId: instanceId || `${req.params.name}-${crypto.randomUUID()}`,
+                    pid: pid !== undefined ? pid : null
+                });
+                res.status(201).json({
+                    success: true,
+                    message: 'Instância registrada',
+                    data: this.registry.readRegistry()[req.params.name][id]
+                });
+            } catch (error) {
+                console.error('Erro ao registrar instância:', error);
+                res.status(500).json({ success: false, message: 'Erro interno do servidor' });
+            }
+        });
+
+        // Renovar lease (heartbeat), com o resultado do health check da instância
+        this.app.put('/services/:name/instances/:id/lease', (req, res) => {
+            const renewed = this.registry.renew(req.params.name, req.params.id, { healthy: req.body.healthy !== false });
+            if (!renewed) {
+                return res.status(404).json({ success: false, message: 'Instância não registrada' });
+            }
+            res.json({ success: true, data: this.registry.readRegistry()[req.params.name][req.params.id] });
+        });
+
+        // Marcar instância como saudável ou não (ex.: gateway detectou falha de conexão)
+        this.app.put('/services/:name/instances/:id/health', (req, res) => {
+            if (typeof req.body.healthy !== 'boolean') {
+                return res.status(400).json({ success: false, message: 'healthy deve ser true ou false' });
+            }
+            if (!this.registry.updateHealth(req.params.name, req.body.healthy, req.params.id)) {
+                return res.status(404).json({ success: false, message: 'Instância não registrada' });
+            }
+            res.json({ success: true, data: this.registry.readRegistry()[req.params.name][req.params.id] });
+        });
+
+        // Remover instância
+        this.app.delete('/services/:name/instances/:id', (req, res) => {
+            if (!this.registry.unregister(req.params.name, req.params.id)) {
+                return res.status(404).json({ success: false, message: 'Instância não registrada' });
+            }
+            res.json({ success: true, message: 'Instância removida' });
+        });
+
+        // Descobrir uma instância saudável (?strategy=round-robin|least-connections|random&exclude=id1,id2)
+        this.app.get('/services/:name/discover', (req, res) => {
+            const { strategy } = req.query;
+            if (strategy && !InMemoryServiceRegistry.STRATEGIES.includes(strategy)) {
+                return res.status(400).json({
+                    success: false,
+                    message: `Estratégia inválida. Use: ${InMemoryServiceRegistry.STRATEGIES.join(', ')}`
+                });
+            }
+            const exclude = req.query.exclude ? String(req.query.exclude).split(',') : [];
+            if (!this.registry.hasService(req.params.name)) {
+                return res.status(404).json({ success: false, message: `Serviço não encontrado: ${req.params.name}` });
+            }
+            try {
+                res.json({ success: true, data: this.registry.discover(req.params.name, { strategy, exclude }) });
+            } catch (error) {
+                res.status(503).json({ success: false, message: error.message });
+            }
+        });
+
+        // Watch (long polling): responde quando o registry passar da versão `index` informada,
+        // ou após `wait` ms sem alterações. Retorna a versão atual e o registry completo.
+        this.app.get('/watch', (req, res) => {
+            const since = Number(req.query.index) || 0;
+            const wait = Math.min(Number(req.query.wait) || 30000, MAX_WATCH_WAIT_MS);
+
+            const respond = () => {
+                clearTimeout(timer);
+                this.registry.removeListener('change', onChange);
+                if (res.writableEnded) return;
+                res.json({ success: true, data: { index: this.index, services: this.registry.readRegistry() } });
+            };
+            // O listener de 'change' do setupRegistry roda antes e já incrementou o index
+            const onChange = () => respond();
+
+            if (this.index > since) {
+                return res.json({ success: true, data: { index: this.index, services: this.registry.readRegistry() } });
+            }
+            const timer = setTimeout(respond, wait);
+            this.registry.on('change', onChange);
+            req.on('close', () => {
+                clearTimeout(timer);
+                this.registry.removeListener('change', onChange);
+            });
+        });
+    }
+
+    setupErrorHandling() {
+        this.app.use('*', (req, res) => {
+            res.status(404).json({ success: false, message: 'Endpoint não encontrado', service: this.serviceName });
+        });
+        this.app.use((error, req, res, next) => {
+            console.error('Service Registry Error:', error);
+            res.status(500).json({ success: false, message: 'Erro interno do serviço', service: this.serviceName });
+        });
+    }
+
+    start() {
+        this.registry.setMaxListeners(0);
+        setInterval(() => this.registry.evictStale(), EVICTION_INTERVAL_MS);
+        this.app.listen(this.port, () => {
+            console.log('=====================================');
+            console.log(`Service Registry iniciado na porta ${this.port}`);
+            console.log(`Health: http://localhost:${this.port}/health`);
+            console.log(`Token: ${this.token ? 'exigido (REGISTRY_TOKEN)' : 'não configurado'}`);
+            console.log('=====================================');
+        });
+    }
+}
+
+if (require.main === module) {
+    const registryServer = new RegistryServer();
+    registryServer.start();
+}
+
+module.exports = RegistryServer;
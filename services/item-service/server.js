@@ -6,43 +6,228 @@ const morgan = require('morgan');
 const { v4: uuidv4 } = require('uuid');
 const path = require('path');
 const JsonDatabase = require('../../shared/JsonDatabase');
+const SchemaValidator = require('../../shared/SchemaValidator');
+const csv = require('../../shared/csv');
+const pagination = require('../../shared/pagination');
+const tokenRevocation = require('../../shared/tokenRevocation');
+const auth = require('../../shared/auth');
+
+// Schema da coleção items: campos fora desta lista são rejeitados em create/update
+const ITEM_SCHEMA = {
+    type: 'object',
+    required: ['name', 'category', 'brand', 'unit', 'averagePrice', 'barcode'],
+    additionalProperties: false,
+    properties: {
+        name: { type: 'string', minLength: 1, maxLength: 200 },
+        // Nome de exibição da categoria, mantido igual ao da categoria `categoryId`
+        category: { type: 'string' },
+        categoryId: { type: 'string' },
+        brand: { type: 'string', maxLength: 100 },
+        unit: { type: 'string', maxLength: 20 },
+        averagePrice: { type: 'number', minimum: 0 },
+        barcode: { type: 'string', pattern: '^[0-9]{8,14}$' },
+        description: { type: 'string', maxLength: 1000 },
+        active: { type: 'boolean' },
+        deactivatedAt: { type: ['string', 'null'], format: 'date-time' },
+        deactivatedBy: { type: ['string', 'null'] },
+        // Última vez que averagePrice foi recalculado a partir das observações de preço
+        priceUpdatedAt: { type: ['string', 'null'], format: 'date-time' }
+    }
+};
+
+// Categorias do catálogo: o id (slug do nome na criação) não muda quando a categoria é renomeada
+const CATEGORY_SCHEMA = {
+    type: 'object',
+    required: ['name', 'nameKey', 'sortOrder'],
+    additionalProperties: false,
+    properties: {
+        name: { type: 'string', minLength: 1, maxLength: 50 },
+        // Nome normalizado (sem acentos e maiúsculas): nomes de categoria são únicos
+        nameKey: { type: 'string', minLength: 1 },
+        parentId: { type: ['string', 'null'] },
+        sortOrder: { type: 'integer', minimum: 0 },
+        icon: { type: ['string', 'null'], maxLength: 50 },
+        color: { type: ['string', 'null'], pattern: '^#[0-9a-fA-F]{6}$' }
+    }
+};
+
+// Categorias criadas quando a coleção está vazia
+const DEFAULT_CATEGORIES = [
+    { name: 'Alimentos', icon: '🍚', color: '#E67E22' },
+    { name: 'Limpeza', icon: '🧽', color: '#3498DB' },
+    { name: 'Higiene', icon: '🧼', color: '#9B59B6' },
+    { name: 'Bebidas', icon: '🥤', color: '#E74C3C' },
+    { name: 'Padaria', icon: '🥖', color: '#D4A373' }
+];
+
+// Mediana de uma lista não vazia de números
+function median(values) {
+    const sorted = [...values].sort((a, b) => a - b);
+    const middle = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+// "Hortifrúti / Orgânicos" -> "hortifruti-organicos"
+function slugify(text) {
+    return String(text)
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-+|-+$/g, '');
+}
+
+// Observações de preço reportadas pelos usuários (uma por item, loja e data)
+const PRICE_OBSERVATION_SCHEMA = {
+    type: 'object',
+    required: ['itemId', 'store', 'storeKey', 'price', 'observedAt', 'reportedBy'],
+    additionalProperties: false,
+    properties: {
+        itemId: { type: 'string' },
+        store: { type: 'string', minLength: 1, maxLength: 100 },
+        // Nome da loja normalizado (minúsculas, sem espaços extras) para agrupar observações
+        storeKey: { type: 'string', minLength: 1 },
+        price: { type: 'number', minimum: 0 },
+        observedAt: { type: 'string', format: 'date-time' },
+        reportedBy: { type: 'string' }
+    }
+};
+
+// averagePrice é a mediana entre os usuários que reportaram preços do item: cada um conta uma vez, com a
+// mediana dos preços atuais dele (a observação mais recente de cada loja dentro de PRICE_WINDOW_DAYS dias).
+// Inventar lojas não dá mais peso a um usuário, e cada um registra até PRICE_OBSERVATIONS_PER_DAY por item.
+const PRICE_WINDOW_DAYS = Number(process.env.PRICE_WINDOW_DAYS) || 90;
+const PRICE_OBSERVATIONS_PER_DAY = Number(process.env.PRICE_OBSERVATIONS_PER_DAY) || 10;
+
+// Parâmetros de GET /items e do histórico de preços (ver shared/pagination.js). Só campos
+// presentes em todos os documentos podem ordenar, por causa da paginação por cursor.
+const ITEM_LIST_QUERY = {
+    filters: { brand: 'string', unit: 'string', barcode: 'string', averagePrice: 'number', updatedAt: 'date' },
+    sortable: ['name', 'category', 'brand', 'averagePrice', 'createdAt', 'updatedAt'],
+    defaultSort: 'name'
+};
+const PRICE_HISTORY_LIST_QUERY = {
+    filters: { price: 'number' },
+    sortable: ['observedAt', 'price', 'store'],
+    defaultSort: '-observedAt',
+    defaultPageSize: 50,
+    maxPageSize: 500
+};
+
+// Import/export do catálogo: colunas do CSV (na ordem) e limites da importação.
+// Na importação os itens são identificados pelo barcode; `id` é exportado só como referência.
+const CATALOG_CSV_COLUMNS = ['id', 'barcode', 'name', 'category', 'brand', 'unit', 'averagePrice', 'description', 'active'];
+const IMPORT_REQUIRED_FIELDS = ['barcode', 'name', 'category', 'brand', 'unit', 'averagePrice'];
+const IMPORT_MODES = ['create', 'upsert'];
+const IMPORT_BODY_LIMIT = '5mb';
+const IMPORT_MAX_ROWS = 5000;
+
+// Campos da busca textual (/search) e seus pesos na relevância
+const ITEM_TEXT_INDEX = { name: 3, brand: 2, category: 1.5, description: 1 };
+const SUGGEST_LIMIT = 8;
+
+// Permissões de gestão do catálogo por papel (campo `role` emitido pelo user-service)
+const CATALOG_PERMISSIONS = {
+    admin: ['items:create', 'items:update', 'items:deactivate', 'catalog:import', 'catalog:export', 'categories:manage', 'catalog:events'],
+    'catalog-editor': ['items:create', 'items:update', 'items:deactivate'],
+    user: [],
+    // Chamadas internas entre serviços (auth.serviceIdentityHeaders)
+    [auth.SERVICE_ROLE]: ['catalog:events']
+};
+
+// Campos do item enviados nos eventos do catálogo (consumidos pelo list-service)
+const CATALOG_EVENT_FIELDS = ['id', 'name', 'category', 'brand', 'unit', 'averagePrice', 'active', 'version'];
+const CATALOG_EVENTS_PAGE_LIMIT = 500;
+
+// Migrações da coleção items, aplicadas na inicialização
+const ITEM_MIGRATIONS = [
+    {
+        version: 1,
+        description: 'Adicionar campo version para concorrência otimista',
+        up: item => ({ ...item, version: item.version || 1 })
+    },
+    {
+        version: 2,
+        description: 'Adicionar categoryId (referência à coleção categories)',
+        up: item => (item.category && !item.categoryId ? { ...item, categoryId: slugify(item.category) } : item)
+    }
+];
 
 class ItemService {
     registerWithRegistry() {
-        serviceRegistry.register(this.serviceName, {
+        this.instanceId = serviceRegistry.register(this.serviceName, {
             url: this.serviceUrl,
             version: '1.0.0',
             database: 'JSON-NoSQL',
-            endpoints: ['/health', '/categories', '/items', '/items/:id', '/search']
+            endpoints: ['/health', '/categories', '/categories/:id', '/items', '/items/stats', '/items/:id', '/search', '/search/suggest', 'DELETE /items/:id', '/items/:id/prices', '/items/:id/prices/cheapest', '/items/barcode/:code', '/items/import', '/items/export', '/catalog/events']
         });
     }
 
+    // Heartbeat: renova a lease no registry com o resultado real do health check
     startHealthReporting() {
-        setInterval(() => {
-            serviceRegistry.updateHealth(this.serviceName, true);
-        }, 30000);
+        serviceRegistry.startHeartbeat(this.instanceId, async () => (await this.checkHealth()).status === 'healthy');
+    }
+
+    // Estado real do serviço: saudável só se o banco de dados responde
+    async checkHealth() {
+        try {
+            await this.itemsDb.ping();
+            const itemCount = await this.itemsDb.count();
+            return {
+                service: this.serviceName,
+                status: 'healthy',
+                timestamp: new Date().toISOString(),
+                uptime: process.uptime(),
+                version: '1.0.0',
+                database: {
+                    type: 'JSON-NoSQL',
+                    itemCount: itemCount
+                }
+            };
+        } catch (error) {
+            return {
+                service: this.serviceName,
+                status: 'unhealthy',
+                timestamp: new Date().toISOString(),
+                error: error.message
+            };
+        }
     }
     constructor() {
         this.app = express();
         this.port = process.env.PORT || 3002;
         this.serviceName = 'item-service';
         this.serviceUrl = `http://localhost:${this.port}`;
-        this.categories = [
-            'Alimentos',
-            'Limpeza',
-            'Higiene',
-            'Bebidas',
-            'Padaria'
-        ];
         this.setupDatabase();
         this.setupMiddleware();
         this.setupRoutes();
         this.setupErrorHandling();
+        this.seedInitialData();
     }
 
     setupDatabase() {
         const dbPath = path.join(__dirname, 'database');
-    this.itemsDb = new JsonDatabase(dbPath, 'items');
+    this.itemsDb = new JsonDatabase(dbPath, 'items', {
+        indexes: ['category', 'categoryId', 'barcode'],
+        unique: ['barcode'],
+        textIndex: ITEM_TEXT_INDEX,
+        schema: ITEM_SCHEMA,
+        migrations: ITEM_MIGRATIONS
+    });
+    this.categoriesDb = new JsonDatabase(dbPath, 'categories', {
+        indexes: ['parentId'],
+        unique: ['nameKey'],
+        schema: CATEGORY_SCHEMA
+    });
+    this.priceObservationsDb = new JsonDatabase(dbPath, 'price_observations', {
+        indexes: ['itemId'],
+        schema: PRICE_OBSERVATION_SCHEMA
+    });
+    // Eventos de alteração do catálogo, em ordem de `sequence`
+    this.catalogEventsDb = new JsonDatabase(dbPath, 'catalog_events', {
+        indexes: ['itemId'],
+        unique: ['sequence']
+    });
     console.log('Item Service: Banco NoSQL inicializado');
     }
 
@@ -50,6 +235,10 @@ class ItemService {
         this.app.use(helmet());
         this.app.use(cors());
         this.app.use(morgan('combined'));
+        // Importação do catálogo: JSON ou CSV, com limite de tamanho maior que o das demais rotas
+        this.app.use('/items/import',
+            express.json({ limit: IMPORT_BODY_LIMIT }),
+            express.text({ type: ['text/csv', 'text/plain'], limit: IMPORT_BODY_LIMIT }));
         this.app.use(express.json());
         this.app.use(express.urlencoded({ extended: true }));
         this.app.use((req, res, next) => {
@@ -61,76 +250,501 @@ class ItemService {
     }
 
     setupRoutes() {
-        // Health check
+        // Health check (o mesmo resultado renova a lease no service registry)
         this.app.get('/health', async (req, res) => {
+            const health = await this.checkHealth();
+            res.status(health.status === 'healthy' ? 200 : 503).json(health);
+        });
+
+        // Árvore de categorias (?flat=true: lista simples com `path`, ex.: "Alimentos > Congelados")
+        this.app.get('/categories', async (req, res) => {
             try {
-                const itemCount = await this.itemsDb.count();
-                res.json({
-                    service: this.serviceName,
-                    status: 'healthy',
-                    timestamp: new Date().toISOString(),
-                    uptime: process.uptime(),
-                    version: '1.0.0',
-                    database: {
-                        type: 'JSON-NoSQL',
-                        itemCount: itemCount
-                    }
+                const categories = await this.categoriesDb.find();
+                if (req.query.flat === 'true') {
+                    return res.json({ success: true, data: this.flattenCategoryTree(this.buildCategoryTree(categories)) });
+                }
+                res.json({ success: true, data: this.buildCategoryTree(categories) });
+            } catch (error) {
+                res.status(500).json({ success: false, message: 'Erro ao listar categorias' });
+            }
+        });
+
+        // Categoria com subcategorias e total de itens (incluindo os das subcategorias)
+        this.app.get('/categories/:id', async (req, res) => {
+            try {
+                const categories = await this.categoriesDb.find();
+                const category = categories.find(current => current.id === req.params.id);
+                if (!category) {
+                    return res.status(404).json({ success: false, message: 'Categoria não encontrada' });
+                }
+                const [node] = this.buildCategoryTree(categories.filter(current =>
+                    this.getCategoryDescendantIds(categories, category.id).includes(current.id)));
+                const itemCount = await this.itemsDb.count({
+                    categoryId: { $in: this.getCategoryDescendantIds(categories, category.id) },
+                    active: { $ne: false }
                 });
+                res.json({ success: true, data: { ...node, path: this.getCategoryPath(categories, category.id), itemCount } });
             } catch (error) {
-                res.status(503).json({
-                    service: this.serviceName,
-                    status: 'unhealthy',
-                    error: error.message
+                res.status(500).json({ success: false, message: 'Erro ao buscar categoria' });
+            }
+        });
+
+        // Criar categoria (admin)
+        this.app.post('/categories', this.authMiddleware.bind(this), this.requirePermission('categories:manage'), async (req, res) => {
+            try {
+                const { name, parentId, sortOrder, icon, color } = req.body;
+                if (typeof name !== 'string' || !slugify(name)) {
+                    return res.status(400).json({ success: false, message: 'name obrigatório' });
+                }
+                const categories = await this.categoriesDb.find();
+                if (parentId && !categories.some(current => current.id === parentId)) {
+                    return res.status(400).json({ success: false, message: 'Categoria pai não encontrada' });
+                }
+                // O id é o slug do nome; se já estiver em uso (categoria renomeada), recebe um sufixo
+                let id = slugify(name);
+                for (let suffix = 2; categories.some(current => current.id === id); suffix++) {
+                    id = `${slugify(name)}-${suffix}`;
+                }
+                const category = await this.categoriesDb.create({
+                    id,
+                    name: name.trim(),
+                    nameKey: slugify(name),
+                    parentId: parentId || null,
+                    sortOrder: sortOrder !== undefined ? sortOrder : categories.length,
+                    icon: icon || null,
+                    color: color || null
                 });
+                res.status(201).json({ success: true, data: category });
+            } catch (error) {
+                if (this.sendCategoryError(res, error)) return;
+                res.status(500).json({ success: false, message: 'Erro ao criar categoria' });
             }
         });
 
-        // Listar categorias
-        this.app.get('/categories', (req, res) => {
-            res.json({
-                success: true,
-                data: this.categories
-            });
+        // Atualizar categoria (admin). Renomear atualiza o nome nos itens da categoria.
+        this.app.put('/categories/:id', this.authMiddleware.bind(this), this.requirePermission('categories:manage'), async (req, res) => {
+            try {
+                const { name, parentId, sortOrder, icon, color, version } = req.body;
+                const categories = await this.categoriesDb.find();
+                const category = categories.find(current => current.id === req.params.id);
+                if (!category) {
+                    return res.status(404).json({ success: false, message: 'Categoria não encontrada' });
+                }
+                const updates = {};
+                if (name !== undefined) {
+                    if (typeof name !== 'string' || !slugify(name)) {
+                        return res.status(400).json({ success: false, message: 'name inválido' });
+                    }
+                    updates.name = name.trim();
+                    updates.nameKey = slugify(name);
+                }
+                if (parentId !== undefined) {
+                    if (parentId !== null && !categories.some(current => current.id === parentId)) {
+                        return res.status(400).json({ success: false, message: 'Categoria pai não encontrada' });
+                    }
+                    if (parentId !== null && this.getCategoryDescendantIds(categories, category.id).includes(parentId)) {
+                        return res.status(400).json({ success: false, message: 'A categoria pai não pode ser a própria categoria nem uma subcategoria dela' });
+                    }
+                    updates.parentId = parentId;
+                }
+                if (sortOrder !== undefined) updates.sortOrder = sortOrder;
+                if (icon !== undefined) updates.icon = icon;
+                if (color !== undefined) updates.color = color;
+
+                const ifMatch = req.header('If-Match');
+                const expectedVersion = ifMatch ? Number(ifMatch.replace(/"/g, '')) : version;
+                const updatedCategory = await this.categoriesDb.update(category.id, updates, { expectedVersion });
+                if (updatedCategory.name !== category.name) {
+                    await this.syncItemCategoryNames([updatedCategory]);
+                }
+                res.json({ success: true, data: updatedCategory });
+            } catch (error) {
+                if (this.sendCategoryError(res, error)) return;
+                res.status(500).json({ success: false, message: 'Erro ao atualizar categoria' });
+            }
+        });
+
+        // Remover categoria (admin): só categorias sem subcategorias e sem itens, para não deixar itens órfãos
+        this.app.delete('/categories/:id', this.authMiddleware.bind(this), this.requirePermission('categories:manage'), async (req, res) => {
+            try {
+                const category = await this.categoriesDb.findById(req.params.id);
+                if (!category) {
+                    return res.status(404).json({ success: false, message: 'Categoria não encontrada' });
+                }
+                const [children, itemCount] = await Promise.all([
+                    this.categoriesDb.count({ parentId: category.id }),
+                    this.itemsDb.count({ categoryId: category.id })
+                ]);
+                if (children > 0 || itemCount > 0) {
+                    return res.status(409).json({
+                        success: false,
+                        message: 'Categoria possui subcategorias ou itens (inclusive desativados); mova-os antes de removê-la',
+                        data: { subcategories: children, items: itemCount }
+                    });
+                }
+                await this.categoriesDb.delete(category.id);
+                res.json({ success: true, message: 'Categoria removida' });
+            } catch (error) {
+                res.status(500).json({ success: false, message: 'Erro ao remover categoria' });
+            }
         });
 
 
 
-        // Listar itens com filtros
+        // Listar itens com filtros, paginação e ordenação (convenção em shared/pagination.js):
+        // ?page=&pageSize= ou ?cursor=, ?sort=-averagePrice,name, ?brand=&unit=&barcode= e faixas como
+        // ?averagePrice[gte]=5&averagePrice[lte]=10. Também aceita ?filter={"averagePrice":{"$gte":5}} e
+        // ?fields=name,averagePrice. ?category= (id ou nome) inclui os itens das subcategorias. Itens
+        // desativados só aparecem com ?includeInactive=true
         this.app.get('/items', async (req, res) => {
             try {
-                const { category, name } = req.query;
+                const listQuery = pagination.parseListQuery(req.query, ITEM_LIST_QUERY);
+                const { category, name, includeInactive } = req.query;
                 let filter = {};
-                if (category) filter.category = category;
-                if (name) filter.name = { $regex: name, $options: 'i' };
-                const items = await this.itemsDb.find(filter);
-                res.json({ success: true, data: items });
+                if (category) Object.assign(filter, await this.buildCategoryFilter(category));
+                // Busca por trecho do nome: o texto é literal, não uma expressão regular
+                if (name) filter.name = { $regex: String(name).replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), $options: 'i' };
+                if (includeInactive !== 'true') filter.active = { $ne: false };
+                const structuredFilter = JsonDatabase.parseFilter(req.query.filter);
+                if (Object.keys(structuredFilter).length > 0) {
+                    filter = { $and: [filter, structuredFilter] };
+                }
+                const page = await pagination.findPage(this.itemsDb, filter, listQuery, {
+                    projection: JsonDatabase.parseProjection(req.query.fields)
+                });
+                pagination.sendPage(req, res, page);
             } catch (error) {
+                if (error instanceof JsonDatabase.QueryError) {
+                    return res.status(400).json({ success: false, message: error.message });
+                }
                 res.status(500).json({ success: false, message: 'Erro ao listar itens' });
             }
         });
 
 
 
-        // Buscar item específico
+        // Estatísticas do catálogo por categoria
+        this.app.get('/items/stats', async (req, res) => {
+            try {
+                const [totals] = await this.itemsDb.aggregate([
+                    {
+                        $group: {
+                            _id: null,
+                            totalItems: { $count: {} },
+                            activeItems: { $sum: { $cond: ['$active', 1, 0] } },
+                            averagePrice: { $avg: '$averagePrice' }
+                        }
+                    },
+                    { $project: { _id: 0, totalItems: 1, activeItems: 1, averagePrice: 1 } }
+                ]);
+                const byCategory = await this.itemsDb.aggregate([
+                    {
+                        $group: {
+                            _id: '$category',
+                            items: { $count: {} },
+                            averagePrice: { $avg: '$averagePrice' },
+                            minPrice: { $min: '$averagePrice' },
+                            maxPrice: { $max: '$averagePrice' }
+                        }
+                    },
+                    { $sort: { items: -1 } },
+                    { $project: { _id: 0, category: '$_id', items: 1, averagePrice: 1, minPrice: 1, maxPrice: 1 } }
+                ]);
+                res.json({
+                    success: true,
+                    data: {
+                        totals: totals || { totalItems: 0, activeItems: 0, averagePrice: null },
+                        byCategory
+                    }
+                });
+            } catch (error) {
+                res.status(500).json({ success: false, message: 'Erro ao calcular estatísticas' });
+            }
+        });
+
+        // Buscar item pelo código de barras (inclui itens desativados, com `active: false`)
+        this.app.get('/items/barcode/:code', async (req, res) => {
+            try {
+                if (!new RegExp(ITEM_SCHEMA.properties.barcode.pattern).test(req.params.code)) {
+                    return res.status(400).json({ success: false, message: 'Barcode deve ter de 8 a 14 dígitos' });
+                }
+                const item = await this.itemsDb.findOne({ barcode: req.params.code });
+                if (!item) {
+                    return res.status(404).json({ success: false, message: 'Item não encontrado' });
+                }
+                res.json({ success: true, data: item });
+            } catch (error) {
+                res.status(500).json({ success: false, message: 'Erro ao buscar item' });
+            }
+        });
+
+        // Exportar o catálogo (?format=json|csv&includeInactive=true), somente admin
+        this.app.get('/items/export', this.authMiddleware.bind(this), this.requirePermission('catalog:export'), async (req, res) => {
+            try {
+                const format = req.query.format || 'json';
+                if (!['json', 'csv'].includes(format)) {
+                    return res.status(400).json({ success: false, message: 'Formato inválido. Use: json, csv' });
+                }
+                const filter = req.query.includeInactive === 'true' ? {} : { active: { $ne: false } };
+                const items = await this.itemsDb.find(filter, { sort: { category: 1, name: 1 } });
+                const fileName = `catalogo-${new Date().toISOString().slice(0, 10)}.${format}`;
+                res.attachment(fileName);
+                if (format === 'csv') {
+                    const rows = items.map(item => CATALOG_CSV_COLUMNS.map(column => item[column]));
+                    // BOM para o Excel reconhecer o UTF-8 (acentos)
+                    return res.type('text/csv; charset=utf-8').send('\uFEFF' + csv.stringify([CATALOG_CSV_COLUMNS, ...rows]));
+                }
+                res.json({
+                    success: true,
+                    data: { exportedAt: new Date().toISOString(), total: items.length, items }
+                });
+            } catch (error) {
+                res.status(500).json({ success: false, message: 'Erro ao exportar catálogo' });
+            }
+        });
+
+        // Importar itens em lote (CSV com cabeçalho ou JSON { items: [...] }), somente admin.
+        // ?mode=create (padrão) rejeita barcodes já cadastrados; ?mode=upsert atualiza esses itens.
+        // ?dryRun=true só valida e devolve o relatório. Linhas válidas são importadas mesmo que
+        // outras tenham erros; o relatório lista cada erro com a linha (CSV) ou posição (JSON).
+        this.app.post('/items/import', this.authMiddleware.bind(this), this.requirePermission('catalog:import'), async (req, res) => {
+            try {
+                const mode = req.query.mode || 'create';
+                if (!IMPORT_MODES.includes(mode)) {
+                    return res.status(400).json({ success: false, message: `Modo inválido. Use: ${IMPORT_MODES.join(', ')}` });
+                }
+                const dryRun = req.query.dryRun === 'true';
+
+                let parsed;
+                try {
+                    parsed = this.parseImportBody(req.body);
+                } catch (error) {
+                    if (error instanceof csv.CsvError || error.code === 'INVALID_IMPORT') {
+                        return res.status(400).json({ success: false, message: error.message });
+                    }
+                    throw error;
+                }
+                if (parsed.rows.length === 0) {
+                    return res.status(400).json({ success: false, message: 'Nenhum item para importar' });
+                }
+                if (parsed.rows.length > IMPORT_MAX_ROWS) {
+                    return res.status(413).json({ success: false, message: `Máximo de ${IMPORT_MAX_ROWS} itens por importação` });
+                }
+
+                const report = await this.importItems(parsed.rows, { mode, dryRun, user: req.user });
+                if (parsed.ignoredColumns.length > 0) report.ignoredColumns = parsed.ignoredColumns;
+                res.json({
+                    success: true,
+                    message: dryRun ? 'Validação concluída (nenhum item gravado)' : 'Importação concluída',
+                    data: report
+                });
+            } catch (error) {
+                console.error('Erro ao importar catálogo:', error);
+                res.status(500).json({ success: false, message: 'Erro ao importar catálogo' });
+            }
+        });
+
+        // Buscar item específico (?store=Loja inclui `storePrice`, o preço atual naquela loja)
         this.app.get('/items/:id', async (req, res) => {
             try {
                 const item = await this.itemsDb.findById(req.params.id);
                 if (!item) {
                     return res.status(404).json({ success: false, message: 'Item não encontrado' });
                 }
+                if (req.query.store) {
+                    const storeKey = this.normalizeStore(req.query.store);
+                    const prices = await this.getCurrentStorePrices(item.id);
+                    item.storePrice = prices.find(price => price.storeKey === storeKey) || null;
+                }
                 res.json({ success: true, data: item });
             } catch (error) {
                 res.status(500).json({ success: false, message: 'Erro ao buscar item' });
             }
         });
 
-        // Buscar itens por nome 
+        // Histórico de preços do item, do mais recente para o mais antigo (?store=&from=&to=,
+        // ?price[lte]=, paginação e ?sort=price,-observedAt)
+        this.app.get('/items/:id/prices', async (req, res) => {
+            try {
+                const listQuery = pagination.parseListQuery(req.query, PRICE_HISTORY_LIST_QUERY);
+                const item = await this.itemsDb.findById(req.params.id);
+                if (!item) {
+                    return res.status(404).json({ success: false, message: 'Item não encontrado' });
+                }
+                const { store, from, to } = req.query;
+                const filter = { itemId: item.id };
+                if (store) filter.storeKey = this.normalizeStore(store);
+                for (const [name, value] of Object.entries({ from, to })) {
+                    if (value && Number.isNaN(Date.parse(value))) {
+                        return res.status(400).json({ success: false, message: `Data inválida em ${name}` });
+                    }
+                }
+                if (from || to) {
+                    filter.observedAt = {};
+                    if (from) filter.observedAt.$gte = new Date(from).toISOString();
+                    if (to) filter.observedAt.$lte = new Date(to).toISOString();
+                }
+                pagination.sendPage(req, res, await pagination.findPage(this.priceObservationsDb, filter, listQuery));
+            } catch (error) {
+                if (error instanceof JsonDatabase.QueryError) {
+                    return res.status(400).json({ success: false, message: error.message });
+                }
+                res.status(500).json({ success: false, message: 'Erro ao buscar histórico de preços' });
+            }
+        });
+
+        // Loja mais barata conhecida, com o preço atual de cada loja em ordem crescente
+        this.app.get('/items/:id/prices/cheapest', async (req, res) => {
+            try {
+                const item = await this.itemsDb.findById(req.params.id);
+                if (!item) {
+                    return res.status(404).json({ success: false, message: 'Item não encontrado' });
+                }
+                const stores = await this.getCurrentStorePrices(item.id);
+                res.json({
+                    success: true,
+                    data: {
+                        itemId: item.id,
+                        averagePrice: item.averagePrice,
+                        windowDays: PRICE_WINDOW_DAYS,
+                        cheapest: stores[0] || null,
+                        stores
+                    }
+                });
+            } catch (error) {
+                res.status(500).json({ success: false, message: 'Erro ao buscar preços por loja' });
+            }
+        });
+
+        // Registrar observação de preço (qualquer usuário autenticado)
+        this.app.post('/items/:id/prices', this.authMiddleware.bind(this), async (req, res) => {
+            try {
+                const { store, price, observedAt } = req.body;
+                if (typeof store !== 'string' || !store.trim()) {
+                    return res.status(400).json({ success: false, message: 'store obrigatório' });
+                }
+                const numericPrice = Number(price);
+                if (price === undefined || price === null || price === '' || !Number.isFinite(numericPrice) || numericPrice < 0) {
+                    return res.status(400).json({ success: false, message: 'price deve ser um número maior ou igual a zero' });
+                }
+                const observedTime = observedAt ? Date.parse(observedAt) : Date.now();
+                if (Number.isNaN(observedTime)) {
+                    return res.status(400).json({ success: false, message: 'observedAt inválido' });
+                }
+                if (observedTime > Date.now() + 5 * 60 * 1000) {
+                    return res.status(400).json({ success: false, message: 'observedAt não pode estar no futuro' });
+                }
+                const item = await this.itemsDb.findById(req.params.id);
+                if (!item) {
+                    return res.status(404).json({ success: false, message: 'Item não encontrado' });
+                }
+                if (item.active === false) {
+                    return res.status(409).json({ success: false, message: 'Item desativado não recebe novos preços' });
+                }
+                const reportedToday = await this.priceObservationsDb.count({
+                    itemId: item.id,
+                    reportedBy: req.user.id,
+                    createdAt: { $gte: new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString() }
+                });
+                if (reportedToday >= PRICE_OBSERVATIONS_PER_DAY) {
+                    return res.status(429).json({
+                        success: false,
+                        message: `Limite de ${PRICE_OBSERVATIONS_PER_DAY} preços por item a cada 24h atingido`
+                    });
+                }
+
+                const observation = await this.priceObservationsDb.create({
+                    id: uuidv4(),
+                    itemId: item.id,
+                    store: store.trim().replace(/\s+/g, ' '),
+                    storeKey: this.normalizeStore(store),
+                    price: numericPrice,
+                    observedAt: new Date(observedTime).toISOString(),
+                    reportedBy: req.user.id
+                });
+                const updatedItem = await this.refreshAveragePrice(item.id);
+                if (!updatedItem) {
+                    // Item removido enquanto a observação era gravada
+                    return res.status(404).json({ success: false, message: 'Item não encontrado' });
+                }
+                const storePrice = (await this.getCurrentStorePrices(item.id))
+                    .find(current => current.storeKey === observation.storeKey) || null;
+                await this.publishCatalogEvent('item.price-observed', updatedItem, { storePrice });
+                res.status(201).json({
+                    success: true,
+                    data: { observation, averagePrice: updatedItem.averagePrice, storePrice }
+                });
+            } catch (error) {
+                if (error instanceof JsonDatabase.ValidationError) {
+                    return res.status(400).json({ success: false, message: error.message, errors: error.errors });
+                }
+                res.status(500).json({ success: false, message: 'Erro ao registrar preço' });
+            }
+        });
+
+        // Eventos do catálogo após a sequência `after` (uso interno: list-service, com identidade de serviço)
+        this.app.get('/catalog/events', this.authMiddleware.bind(this), this.requirePermission('catalog:events'), async (req, res) => {
+            try {
+                const after = Number(req.query.after) || 0;
+                const limit = Math.min(Number(req.query.limit) || 100, CATALOG_EVENTS_PAGE_LIMIT);
+                const events = await this.catalogEventsDb.find(
+                    { sequence: { $gt: after } },
+                    { sort: { sequence: 1 }, limit }
+                );
+                res.json({
+                    success: true,
+                    data: {
+                        events,
+                        lastSequence: events.length > 0 ? events[events.length - 1].sequence : after
+                    }
+                });
+            } catch (error) {
+                res.status(500).json({ success: false, message: 'Erro ao buscar eventos do catálogo' });
+            }
+        });
+
+        // Busca textual em nome, marca, categoria e descrição, ordenada por relevância.
+        // Ignora acentos, aceita prefixos e erros de digitação (?q=&page=&pageSize=&category=&includeInactive=true)
         this.app.get('/search', async (req, res) => {
+            try {
+                const { q, category, includeInactive } = req.query;
+                if (!q || !q.trim()) return res.status(400).json({ success: false, message: 'Query obrigatória' });
+                const listQuery = pagination.parseListQuery(req.query);
+                const filter = includeInactive === 'true' ? {} : { active: { $ne: false } };
+                if (category) Object.assign(filter, await this.buildCategoryFilter(category));
+                const { total, results } = await this.itemsDb.textSearch(q, {
+                    filter,
+                    skip: listQuery.skip,
+                    limit: listQuery.pageSize
+                });
+                pagination.sendPage(req, res, {
+                    data: results.map(({ document, score, matchedTerms }) => ({ ...document, score, matchedTerms })),
+                    pagination: pagination.offsetPagination(listQuery, total)
+                });
+            } catch (error) {
+                if (error instanceof JsonDatabase.QueryError) {
+                    return res.status(400).json({ success: false, message: error.message });
+                }
+                res.status(500).json({ success: false, message: 'Erro na busca' });
+            }
+        });
+
+        // Autocomplete: itens ativos mais relevantes para o texto digitado até agora (?q=&limit=)
+        this.app.get('/search/suggest', async (req, res) => {
             try {
                 const { q } = req.query;
-                if (!q) return res.status(400).json({ success: false, message: 'Query obrigatória' });
-                const items = await this.itemsDb.find({ name: { $regex: q, $options: 'i' } });
-                res.json({ success: true, data: items });
+                if (!q || !q.trim()) return res.json({ success: true, data: [] });
+                const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || SUGGEST_LIMIT, 1), 20);
+                const { results } = await this.itemsDb.textSearch(q, { filter: { active: { $ne: false } }, limit });
+                res.json({
+                    success: true,
+                    data: results.map(({ document }) => ({
+                        id: document.id,
+                        name: document.name,
+                        brand: document.brand,
+                        category: document.category
+                    }))
+                });
             } catch (error) {
                 res.status(500).json({ success: false, message: 'Erro na busca' });
             }
@@ -138,20 +752,23 @@ class ItemService {
 
 
 
-        // Criar novo item (requer autenticação)
-        this.app.post('/items', this.authMiddleware.bind(this), async (req, res) => {
+        // Criar novo item (admin ou catalog-editor)
+        this.app.post('/items', this.authMiddleware.bind(this), this.requirePermission('items:create'), async (req, res) => {
             try {
-                const { name, category, brand, unit, averagePrice, barcode, description, active } = req.body;
-                if (!name || !category || !brand || !unit || !averagePrice || !barcode) {
+                const { name, category, categoryId, brand, unit, averagePrice, barcode, description, active } = req.body;
+                if (!name || !(category || categoryId) || !brand || !unit || !averagePrice || !barcode) {
                     return res.status(400).json({ success: false, message: 'Campos obrigatórios faltando' });
                 }
-                if (!this.categories.includes(category)) {
+                // `category` aceita o id ou o nome da categoria
+                const itemCategory = this.findCategory(await this.categoriesDb.find(), categoryId || category);
+                if (!itemCategory) {
                     return res.status(400).json({ success: false, message: 'Categoria inválida' });
                 }
                 const newItem = await this.itemsDb.create({
                     id: uuidv4(),
                     name,
-                    category,
+                    category: itemCategory.name,
+                    categoryId: itemCategory.id,
                     brand,
                     unit,
                     averagePrice: Number(averagePrice),
@@ -160,31 +777,110 @@ class ItemService {
                     active: active !== undefined ? !!active : true,
                     createdAt: new Date().toISOString()
                 });
+                await this.publishCatalogEvent('item.created', newItem);
                 res.status(201).json({ success: true, data: newItem });
             } catch (error) {
+                if (error instanceof JsonDatabase.ValidationError) {
+                    return res.status(400).json({ success: false, message: error.message, errors: error.errors });
+                }
+                if (error instanceof JsonDatabase.DuplicateKeyError) {
+                    return res.status(409).json({ success: false, message: 'Já existe um item com este barcode' });
+                }
                 res.status(500).json({ success: false, message: 'Erro ao criar item' });
             }
         });
 
 
 
-        // Atualizar item
-        this.app.put('/items/:id', async (req, res) => {
+        // Atualizar item (admin ou catalog-editor)
+        this.app.put('/items/:id', this.authMiddleware.bind(this), this.requirePermission('items:update'), async (req, res) => {
             try {
-                const updates = req.body;
+                const { version, deactivatedAt, deactivatedBy, priceUpdatedAt, ...updates } = req.body;
+                if (updates.averagePrice !== undefined) {
+                    return res.status(400).json({
+                        success: false,
+                        message: 'averagePrice é calculado a partir das observações de preço; registre o preço em POST /items/:id/prices'
+                    });
+                }
                 const item = await this.itemsDb.findById(req.params.id);
                 if (!item) {
                     return res.status(404).json({ success: false, message: 'Item não encontrado' });
                 }
-                if (updates.category && !this.categories.includes(updates.category)) {
-                    return res.status(400).json({ success: false, message: 'Categoria inválida' });
+                if (updates.category !== undefined || updates.categoryId !== undefined) {
+                    const itemCategory = this.findCategory(await this.categoriesDb.find(), updates.categoryId || updates.category);
+                    if (!itemCategory) {
+                        return res.status(400).json({ success: false, message: 'Categoria inválida' });
+                    }
+                    updates.category = itemCategory.name;
+                    updates.categoryId = itemCategory.id;
+                }
+                if (updates.active === false && !this.hasPermission(req.user, 'items:deactivate')) {
+                    return res.status(403).json({ success: false, message: 'Permissão insuficiente para desativar itens' });
                 }
-                const updatedItem = await this.itemsDb.update(req.params.id, updates);
+                if (updates.active === true) {
+                    updates.deactivatedAt = null;
+                    updates.deactivatedBy = null;
+                } else if (updates.active === false && item.active !== false) {
+                    updates.deactivatedAt = new Date().toISOString();
+                    updates.deactivatedBy = req.user.id;
+                }
+                // Concorrência otimista: If-Match ou `version` no body
+                const ifMatch = req.header('If-Match');
+                const expectedVersion = ifMatch ? Number(ifMatch.replace(/"/g, '')) : version;
+                const updatedItem = await this.itemsDb.update(req.params.id, updates, { expectedVersion });
+                let eventType = 'item.updated';
+                if (item.active !== false && updatedItem.active === false) eventType = 'item.deactivated';
+                if (item.active === false && updatedItem.active !== false) eventType = 'item.reactivated';
+                await this.publishCatalogEvent(eventType, updatedItem);
                 res.json({ success: true, data: updatedItem });
             } catch (error) {
+                if (error instanceof JsonDatabase.VersionConflictError) {
+                    return res.status(409).json({
+                        success: false,
+                        message: 'Item alterado por outra requisição. Recarregue e tente novamente.',
+                        currentVersion: error.currentVersion
+                    });
+                }
+                if (error instanceof JsonDatabase.ValidationError) {
+                    return res.status(400).json({ success: false, message: error.message, errors: error.errors });
+                }
+                if (error instanceof JsonDatabase.DuplicateKeyError) {
+                    return res.status(409).json({ success: false, message: 'Já existe um item com este barcode' });
+                }
                 res.status(500).json({ success: false, message: 'Erro ao atualizar item' });
             }
         });
+
+        // Remover item (soft delete: marca active = false; listas que já usam o item continuam íntegras)
+        this.app.delete('/items/:id', this.authMiddleware.bind(this), this.requirePermission('items:deactivate'), async (req, res) => {
+            try {
+                const item = await this.itemsDb.findById(req.params.id);
+                if (!item) {
+                    return res.status(404).json({ success: false, message: 'Item não encontrado' });
+                }
+                if (item.active === false) {
+                    return res.json({ success: true, message: 'Item já estava desativado', data: item });
+                }
+                const ifMatch = req.header('If-Match');
+                const expectedVersion = ifMatch ? Number(ifMatch.replace(/"/g, '')) : undefined;
+                const deactivatedItem = await this.itemsDb.update(req.params.id, {
+                    active: false,
+                    deactivatedAt: new Date().toISOString(),
+                    deactivatedBy: req.user.id
+                }, { expectedVersion });
+                await this.publishCatalogEvent('item.deactivated', deactivatedItem);
+                res.json({ success: true, message: 'Item desativado', data: deactivatedItem });
+            } catch (error) {
+                if (error instanceof JsonDatabase.VersionConflictError) {
+                    return res.status(409).json({
+                        success: false,
+                        message: 'Item alterado por outra requisição. Recarregue e tente novamente.',
+                        currentVersion: error.currentVersion
+                    });
+                }
+                res.status(500).json({ success: false, message: 'Erro ao remover item' });
+            }
+        });
     }
 
     setupErrorHandling() {
@@ -197,13 +893,424 @@ class ItemService {
         });
     }
 
-    // Middleware de autenticação 
-    authMiddleware(req, res, next) {
-        const authHeader = req.header('Authorization');
-        if (!authHeader?.startsWith('Bearer ')) {
-            return res.status(401).json({ success: false, message: 'Token obrigatório' });
+    // Criar as categorias padrão (coleção vazia) e as categorias referenciadas por itens que não
+    // existem (itens anteriores à coleção), e alinhar o nome da categoria gravado nos itens
+    async seedInitialData() {
+        try {
+            const categories = await this.categoriesDb.find();
+            const toCreate = categories.length === 0
+                ? DEFAULT_CATEGORIES.map(category => ({ ...category, id: slugify(category.name) }))
+                : [];
+            const items = await this.itemsDb.find({}, { projection: { category: 1, categoryId: 1 } });
+            items.forEach(item => {
+                const known = [...categories, ...toCreate].some(category => category.id === item.categoryId);
+                if (item.categoryId && !known) toCreate.push({ id: item.categoryId, name: item.category });
+            });
+
+            for (const [index, category] of toCreate.entries()) {
+                try {
+                    await this.categoriesDb.create({
+                        icon: null,
+                        color: null,
+                        ...category,
+                        nameKey: slugify(category.name),
+                        parentId: null,
+                        sortOrder: categories.length + index
+                    });
+                    console.log(`Categoria criada: ${category.name}`);
+                } catch (error) {
+                    // Outra instância iniciando ao mesmo tempo já criou a categoria
+                    if (!(error instanceof JsonDatabase.DuplicateKeyError)) throw error;
+                }
+            }
+            await this.syncItemCategoryNames(await this.categoriesDb.find());
+        } catch (error) {
+            console.error('Erro ao criar dados iniciais:', error);
+        }
+    }
+
+    // Filtro de itens da categoria (id ou nome) e das suas subcategorias; categoria desconhecida
+    // filtra pelo nome gravado no item
+    async buildCategoryFilter(category) {
+        const categories = await this.categoriesDb.find();
+        const match = this.findCategory(categories, category);
+        return match
+            ? { categoryId: { $in: this.getCategoryDescendantIds(categories, match.id) } }
+            : { category };
+    }
+
+    // Categoria por id ou por nome (sem diferenciar maiúsculas e acentos)
+    findCategory(categories, value) {
+        if (typeof value !== 'string' || !value.trim()) return null;
+        return categories.find(category => category.id === value)
+            || categories.find(category => category.nameKey === slugify(value))
+            || null;
+    }
+
+    // Ids da categoria e de todas as suas subcategorias
+    getCategoryDescendantIds(categories, id) {
+        const ids = [id];
+        for (let i = 0; i < ids.length; i++) {
+            categories.filter(category => category.parentId === ids[i]).forEach(category => ids.push(category.id));
+        }
+        return ids;
+    }
+
+    // Nomes da raiz até a categoria, ex.: "Alimentos > Congelados"
+    getCategoryPath(categories, id) {
+        const names = [];
+        for (let current = categories.find(category => category.id === id); current;
+            current = categories.find(category => category.id === current.parentId)) {
+            names.unshift(current.name);
         }
-        next();
+        return names.join(' > ');
+    }
+
+    // Árvore ordenada por sortOrder e nome; categorias cujo pai não existe ficam na raiz
+    buildCategoryTree(categories) {
+        const sorted = [...categories].sort((a, b) => a.sortOrder - b.sortOrder || a.name.localeCompare(b.name, 'pt-BR'));
+        const nodes = new Map(sorted.map(category => [category.id, { ...category, children: [] }]));
+        const roots = [];
+        nodes.forEach(node => {
+            const parent = node.parentId && nodes.get(node.parentId);
+            (parent ? parent.children : roots).push(node);
+        });
+        return roots;
+    }
+
+    flattenCategoryTree(nodes, parentPath = '') {
+        return nodes.flatMap(({ children, ...category }) => {
+            const categoryPath = parentPath ? `${parentPath} > ${category.name}` : category.name;
+            return [{ ...category, path: categoryPath }, ...this.flattenCategoryTree(children, categoryPath)];
+        });
+    }
+
+    // Gravar o nome atual da categoria nos itens que ainda têm o nome antigo. Cada item alterado
+    // gera item.updated, para que as listas também recebam o novo nome.
+    async syncItemCategoryNames(categories) {
+        for (const category of categories) {
+            const outdated = await this.itemsDb.find({ categoryId: category.id, category: { $ne: category.name } });
+            for (const item of outdated) {
+                const updatedItem = await this.itemsDb.update(item.id, { category: category.name });
+                if (updatedItem) await this.publishCatalogEvent('item.updated', updatedItem);
+            }
+        }
+    }
+
+    // Erros de banco das rotas de categoria; retorna true se a resposta foi enviada
+    sendCategoryError(res, error) {
+        if (error instanceof JsonDatabase.DuplicateKeyError) {
+            res.status(409).json({ success: false, message: 'Já existe uma categoria com este nome' });
+            return true;
+        }
+        if (error instanceof JsonDatabase.VersionConflictError) {
+            res.status(409).json({
+                success: false,
+                message: 'Categoria alterada por outra requisição. Recarregue e tente novamente.',
+                currentVersion: error.currentVersion
+            });
+            return true;
+        }
+        if (error instanceof JsonDatabase.ValidationError) {
+            res.status(400).json({ success: false, message: error.message, errors: error.errors });
+            return true;
+        }
+        return false;
+    }
+
+    // Linhas da importação como objetos, com o número da linha (CSV) ou a posição (JSON)
+    parseImportBody(body) {
+        if (typeof body === 'string') {
+            const [header, ...records] = csv.parse(body);
+            if (!header) return { rows: [], ignoredColumns: [] };
+            const columns = header.map(column => column.trim());
+            const missing = IMPORT_REQUIRED_FIELDS.filter(field => !columns.includes(field));
+            if (missing.length > 0) {
+                throw Object.assign(new Error(`Colunas obrigatórias ausentes no CSV: ${missing.join(', ')}`), { code: 'INVALID_IMPORT' });
+            }
+            return {
+                rows: records.map(record => ({
+                    row: record.line,
+                    data: columns.reduce((data, column, index) => ({ ...data, [column]: record[index] }), {})
+                })),
+                ignoredColumns: columns.filter(column => !CATALOG_CSV_COLUMNS.includes(column))
+            };
+        }
+        const items = Array.isArray(body) ? body : body && body.items;
+        if (!Array.isArray(items)) {
+            throw Object.assign(new Error('Envie um CSV (Content-Type: text/csv) ou JSON { "items": [...] }'), { code: 'INVALID_IMPORT' });
+        }
+        return {
+            rows: items.map((data, index) => ({ row: index + 1, data: data && typeof data === 'object' ? data : {} })),
+            ignoredColumns: []
+        };
+    }
+
+    // Converter uma linha da importação (valores de texto no CSV) em item; retorna { item, errors }
+    buildImportItem(data, categories) {
+        const errors = [];
+        const item = {};
+        ['barcode', 'name', 'category', 'brand', 'unit', 'description'].forEach(field => {
+            if (data[field] !== undefined && data[field] !== null && String(data[field]).trim() !== '') {
+                item[field] = String(data[field]).trim();
+            }
+        });
+        if (data.averagePrice !== undefined && data.averagePrice !== null && String(data.averagePrice).trim() !== '') {
+            // Aceita vírgula decimal (CSV exportado de planilhas em português)
+            const price = typeof data.averagePrice === 'number'
+                ? data.averagePrice
+                : Number(String(data.averagePrice).trim().replace(',', '.'));
+            if (Number.isFinite(price)) item.averagePrice = price;
+            else errors.push({ field: 'averagePrice', message: 'deve ser um número' });
+        }
+        if (data.active !== undefined && data.active !== null && String(data.active).trim() !== '') {
+            const active = String(data.active).trim().toLowerCase();
+            if (['true', '1'].includes(active)) item.active = true;
+            else if (['false', '0'].includes(active)) item.active = false;
+            else errors.push({ field: 'active', message: 'deve ser true ou false' });
+        }
+
+        IMPORT_REQUIRED_FIELDS.forEach(field => {
+            if (item[field] === undefined && !errors.some(error => error.field === field)) {
+                errors.push({ field, message: 'obrigatório' });
+            }
+        });
+        if (item.category) {
+            // A coluna category aceita o nome ou o id da categoria
+            const itemCategory = this.findCategory(categories, item.category);
+            if (itemCategory) {
+                item.category = itemCategory.name;
+                item.categoryId = itemCategory.id;
+            } else {
+                errors.push({ field: 'category', message: `categoria inválida (use: ${categories.map(current => current.name).join(', ')})` });
+            }
+        }
+        if (errors.length === 0) {
+            errors.push(...SchemaValidator.validate(ITEM_SCHEMA, item));
+        }
+        return { item, errors };
+    }
+
+    // Validar todas as linhas e, fora do dry-run, gravar as válidas. Cada item gravado gera o
+    // mesmo evento do catálogo que a rota individual geraria.
+    async importItems(rows, { mode, dryRun, user }) {
+        const report = { mode, dryRun, total: rows.length, created: 0, updated: 0, unchanged: 0, failed: 0, errors: [] };
+        const existingItems = await this.itemsDb.find({ barcode: { $in: rows.map(({ data }) => String(data.barcode || '').trim()) } });
+        const existingByBarcode = new Map(existingItems.map(item => [item.barcode, item]));
+        const seenBarcodes = new Map(); // barcode -> linha em que apareceu
+        const pending = []; // alterações válidas, gravadas juntas no final
+        const categories = await this.categoriesDb.find();
+
+        for (const { row, data } of rows) {
+            const { item, errors } = this.buildImportItem(data, categories);
+            if (errors.length === 0 && seenBarcodes.has(item.barcode)) {
+                errors.push({ field: 'barcode', message: `repetido no arquivo (linha ${seenBarcodes.get(item.barcode)})` });
+            }
+            const existing = item.barcode && existingByBarcode.get(item.barcode);
+            if (errors.length === 0 && existing && mode === 'create') {
+                errors.push({ field: 'barcode', message: `já cadastrado (item ${existing.id}); use ?mode=upsert para atualizar` });
+            }
+            if (item.barcode && !seenBarcodes.has(item.barcode)) seenBarcodes.set(item.barcode, row);
+            if (errors.length > 0) {
+                report.failed++;
+                report.errors.push(...errors.map(error => ({ row, ...error })));
+                continue;
+            }
+
+            const change = existing ? this.importExistingItem(existing, item, { user }) : this.importNewItem(item);
+            if (dryRun || !change.operation) {
+                report[change.action]++;
+            } else {
+                pending.push({ row, ...change });
+            }
+        }
+
+        // Linhas válidas gravadas em um único lote, com um único lote de eventos. Uma linha recusada
+        // pelo banco (schema ou barcode cadastrado nesse meio-tempo) sai do lote, que é gravado de novo.
+        while (pending.length > 0) {
+            try {
+                const documents = await this.itemsDb.bulkWrite(pending.map(change => change.operation));
+                pending.forEach(change => report[change.action]++);
+                await this.publishCatalogEvents(pending
+                    .map((change, position) => ({ type: change.eventType, item: documents[position] }))
+                    .filter(event => event.item));
+                break;
+            } catch (error) {
+                const rejected = error instanceof JsonDatabase.ValidationError || error instanceof JsonDatabase.DuplicateKeyError;
+                if (!rejected || error.operationIndex === undefined) throw error;
+                const [failed] = pending.splice(error.operationIndex, 1);
+                report.failed++;
+                const details = error instanceof JsonDatabase.DuplicateKeyError
+                    ? [{ field: 'barcode', message: 'já cadastrado' }]
+                    : error.errors;
+                report.errors.push(...details.map(detail => ({ row: failed.row, ...detail })));
+            }
+        }
+        report.errors.sort((a, b) => a.row - b.row);
+        return report;
+    }
+
+    importNewItem(item) {
+        return {
+            action: 'created',
+            eventType: 'item.created',
+            operation: { op: 'create', document: { id: uuidv4(), description: '', active: true, ...item } }
+        };
+    }
+
+    // Item já cadastrado (mode=upsert): averagePrice não é alterado, pois vem das observações de preço
+    importExistingItem(existing, item, { user }) {
+        const { averagePrice, ...fields } = item;
+        const updates = {};
+        Object.entries(fields).forEach(([field, value]) => {
+            if (existing[field] !== value) updates[field] = value;
+        });
+        if (Object.keys(updates).length === 0) return { action: 'unchanged' };
+
+        if (updates.active === true) {
+            updates.deactivatedAt = null;
+            updates.deactivatedBy = null;
+        } else if (updates.active === false) {
+            updates.deactivatedAt = new Date().toISOString();
+            updates.deactivatedBy = user.id;
+        }
+        let eventType = 'item.updated';
+        if (updates.active === false) eventType = 'item.deactivated';
+        if (updates.active === true) eventType = 'item.reactivated';
+        return { action: 'updated', eventType, operation: { op: 'update', id: existing.id, changes: updates } };
+    }
+
+    normalizeStore(store) {
+        return String(store).trim().replace(/\s+/g, ' ').toLowerCase();
+    }
+
+    // Preço atual de cada loja: a observação mais recente dentro da janela, do mais barato ao mais caro
+    async getCurrentStorePrices(itemId) {
+        const since = new Date(Date.now() - PRICE_WINDOW_DAYS * 24 * 60 * 60 * 1000).toISOString();
+        const observations = await this.priceObservationsDb.find(
+            { itemId, observedAt: { $gte: since } },
+            { sort: { observedAt: -1 } }
+        );
+        const byStore = new Map();
+        observations.forEach(observation => {
+            if (!byStore.has(observation.storeKey)) {
+                byStore.set(observation.storeKey, {
+                    store: observation.store,
+                    storeKey: observation.storeKey,
+                    price: observation.price,
+                    observedAt: observation.observedAt
+                });
+            }
+        });
+        return Array.from(byStore.values()).sort((a, b) => a.price - b.price);
+    }
+
+    // Mediana dos preços atuais de cada usuário (a observação mais recente dele em cada loja, dentro da janela)
+    async getReporterPrices(itemId) {
+        const since = new Date(Date.now() - PRICE_WINDOW_DAYS * 24 * 60 * 60 * 1000).toISOString();
+        const observations = await this.priceObservationsDb.find(
+            { itemId, observedAt: { $gte: since } },
+            { sort: { observedAt: -1 } }
+        );
+        const byReporter = new Map();
+        observations.forEach(observation => {
+            if (!byReporter.has(observation.reportedBy)) byReporter.set(observation.reportedBy, new Map());
+            const stores = byReporter.get(observation.reportedBy);
+            if (!stores.has(observation.storeKey)) stores.set(observation.storeKey, observation.price);
+        });
+        return Array.from(byReporter.values()).map(stores => median(Array.from(stores.values())));
+    }
+
+    // Recalcular averagePrice com os preços dos usuários; sem observações recentes mantém o valor.
+    // Retorna null se o item não existe mais.
+    async refreshAveragePrice(itemId) {
+        const prices = await this.getReporterPrices(itemId);
+        return this.itemsDb.update(itemId, current => {
+            const updates = { priceUpdatedAt: new Date().toISOString() };
+            updates.averagePrice = prices.length > 0
+                ? Math.round(median(prices) * 100) / 100
+                : current.averagePrice;
+            return updates;
+        });
+    }
+
+    // Registrar evento do catálogo com o estado atual do item
+    async publishCatalogEvent(type, item, details = {}) {
+        // update() retorna null quando o item foi removido ao mesmo tempo: não há estado para publicar
+        if (!item) return null;
+        try {
+            const [event] = await this.appendCatalogEvents([{ type, item, details }]);
+            return event;
+        } catch (error) {
+            // O item já foi gravado: registrar a falha sem derrubar a requisição
+            console.error(`Erro ao publicar evento ${type} do item ${item.id}:`, error);
+            return null;
+        }
+    }
+
+    // Eventos de vários itens em uma única escrita (importação)
+    async publishCatalogEvents(entries) {
+        if (entries.length === 0) return [];
+        try {
+            return await this.appendCatalogEvents(entries);
+        } catch (error) {
+            console.error(`Erro ao publicar ${entries.length} eventos do catálogo:`, error);
+            return [];
+        }
+    }
+
+    // `sequence` é único na coleção e a verificação roda sob o lock de escrita do JsonDatabase,
+    // compartilhado entre processos: se outra instância gravou o mesmo número entre a leitura e a
+    // escrita, o lote inteiro tenta os próximos.
+    async appendCatalogEvents(entries) {
+        for (;;) {
+            const [last] = await this.catalogEventsDb.find({}, { sort: { sequence: -1 }, limit: 1 });
+            const first = last ? last.sequence + 1 : 1;
+            const createdAt = new Date().toISOString();
+            const operations = entries.map(({ type, item, details = {} }, position) => {
+                const snapshot = {};
+                CATALOG_EVENT_FIELDS.forEach(field => {
+                    if (item[field] !== undefined) snapshot[field] = item[field];
+                });
+                const sequence = first + position;
+                return {
+                    op: 'create',
+                    document: {
+                        id: `catalog-event-${sequence}`,
+                        sequence,
+                        type,
+                        itemId: item.id,
+                        item: snapshot,
+                        ...details,
+                        createdAt
+                    }
+                };
+            });
+            try {
+                return await this.catalogEventsDb.bulkWrite(operations);
+            } catch (error) {
+                if (!(error instanceof JsonDatabase.DuplicateKeyError)) throw error;
+            }
+        }
+    }
+
+    // Middleware de autenticação (identidade do gateway ou JWT direto)
+    authMiddleware(req, res, next) {
+        auth.authMiddleware(req, res, next);
+    }
+
+    hasPermission(user, permission) {
+        return (CATALOG_PERMISSIONS[user?.role] || []).includes(permission);
+    }
+
+    // Middleware de autorização; usar após authMiddleware
+    requirePermission(permission) {
+        return (req, res, next) => {
+            if (!this.hasPermission(req.user, permission)) {
+                return res.status(403).json({ success: false, message: 'Permissão insuficiente para gerenciar o catálogo' });
+            }
+            next();
+        };
     }
 
     start() {
@@ -216,6 +1323,7 @@ class ItemService {
             console.log('=====================================');
             this.registerWithRegistry();
             this.startHealthReporting();
+            tokenRevocation.startSync();
         });
     }
 }
@@ -225,15 +1333,7 @@ if (require.main === module) {
     const itemService = new ItemService();
     itemService.start();
 
-    // Cleanup automático ao encerrar
-    process.on('SIGTERM', () => {
-        serviceRegistry.unregister('item-service');
-        process.exit(0);
-    });
-    process.on('SIGINT', () => {
-        serviceRegistry.unregister('item-service');
-        process.exit(0);
-    });
+    // SIGINT/SIGTERM: tratados por shared/serviceRegistry, que remove as instâncias do processo antes de sair
 }
 
 module.exports = ItemService;
@@ -5,29 +5,155 @@ const helmet = require('helmet');
 const morgan = require('morgan');
 const { v4: uuidv4 } = require('uuid');
 const path = require('path');
-const axios = require('axios');
 const JsonDatabase = require('../../shared/JsonDatabase');
+const pagination = require('../../shared/pagination');
+const tokenRevocation = require('../../shared/tokenRevocation');
+const auth = require('../../shared/auth');
+const { createIdempotencyMiddleware } = require('../../shared/idempotency');
+const { requestService, ServiceUnavailableError } = require('../../shared/serviceClient');
+
+// Consumo dos eventos do catálogo publicados pelo item-service (GET /catalog/events)
+const CATALOG_SYNC_INTERVAL_MS = Number(process.env.CATALOG_SYNC_INTERVAL) || 5000;
+const CATALOG_SYNC_BATCH = 100;
+const CATALOG_CURSOR_ID = 'catalog-events';
+
+// Eventos SSE das listas: gravados em list_events e entregues por todas as instâncias do list-service
+const LIST_EVENTS_POLL_MS = Number(process.env.LIST_EVENTS_POLL_INTERVAL) || 200;
+const LIST_EVENTS_TTL_MS = 10 * 60 * 1000;
+const LIST_EVENTS_PRUNE_MS = 60 * 1000;
+
+// Campos da busca textual (/lists/search) e seus pesos: nome e descrição da lista e os itens dela
+const LIST_TEXT_INDEX = { name: 3, description: 1, 'items.itemName': 1.5, 'items.notes': 0.5 };
+
+// Parâmetros de GET /lists (ver shared/pagination.js)
+const LIST_LIST_QUERY = {
+    filters: { status: 'string', userId: 'string', updatedAt: 'date' },
+    sortable: ['name', 'status', 'createdAt', 'updatedAt'],
+    defaultSort: '-updatedAt'
+};
+
+// Schema da coleção lists (validado pelo JsonDatabase em create/update)
+const LIST_SCHEMA = {
+    type: 'object',
+    required: ['userId', 'name', 'status', 'items'],
+    additionalProperties: false,
+    properties: {
+        userId: { type: 'string' },
+        name: { type: 'string', minLength: 1, maxLength: 100 },
+        description: { type: 'string', maxLength: 500 },
+        status: { type: 'string', enum: ['active', 'completed', 'archived'] },
+        items: {
+            type: 'array',
+            items: {
+                type: 'object',
+                required: ['itemId', 'itemName', 'quantity'],
+                properties: {
+                    itemId: { type: 'string' },
+                    itemName: { type: 'string' },
+                    quantity: { type: 'number', minimum: 0 },
+                    unit: { type: 'string' },
+                    category: { type: 'string' },
+                    estimatedPrice: { type: 'number', minimum: 0 },
+                    // Loja cujo preço foi usado em estimatedPrice (loja padrão do usuário)
+                    priceStore: { type: 'string' },
+                    // 'store': preço atual na priceStore; 'average': averagePrice do catálogo
+                    priceSource: { type: 'string', enum: ['store', 'average'] },
+                    purchased: { type: 'boolean' },
+                    notes: { type: 'string' },
+                    addedAt: { type: 'string', format: 'date-time' },
+                    // Item desativado no catálogo (não entra no total estimado enquanto não comprado)
+                    discontinued: { type: 'boolean' },
+                    // Versão do item no catálogo refletida nesta entrada
+                    catalogVersion: { type: 'integer', minimum: 0 }
+                }
+            }
+        },
+        collaborators: {
+            type: 'array',
+            items: {
+                type: 'object',
+                required: ['userId', 'role'],
+                properties: {
+                    userId: { type: 'string' },
+                    role: { type: 'string', enum: ['viewer', 'editor', 'owner'] }
+                }
+            }
+        },
+        summary: {
+            type: 'object',
+            properties: {
+                totalItems: { type: 'integer', minimum: 0 },
+                purchasedItems: { type: 'integer', minimum: 0 },
+                discontinuedItems: { type: 'integer', minimum: 0 },
+                estimatedTotal: { type: 'number' }
+            }
+        }
+    }
+};
+
+// Migrações da coleção lists, aplicadas na inicialização
+const LIST_MIGRATIONS = [
+    {
+        version: 1,
+        description: 'Adicionar campo version para concorrência otimista',
+        up: list => ({ ...list, version: list.version || 1 })
+    },
+    {
+        version: 2,
+        description: 'Adicionar lista de colaboradores',
+        up: list => ({ ...list, collaborators: list.collaborators || [] })
+    }
+];
 
 class ListService {
     registerWithRegistry() {
-        serviceRegistry.register(this.serviceName, {
+        this.instanceId = serviceRegistry.register(this.serviceName, {
             url: this.serviceUrl,
             version: '1.0.0',
             database: 'JSON-NoSQL',
-            endpoints: ['/health', '/lists', '/lists/:id', '/lists/:id/items', '/lists/:id/summary']
+            endpoints: ['/health', '/lists', '/lists/stats', '/lists/search', '/lists/:id', '/lists/:id/items', '/lists/:id/summary', '/lists/:id/events', '/lists/:id/collaborators']
         });
     }
 
+    // Heartbeat: renova a lease no registry com o resultado real do health check
     startHealthReporting() {
-        setInterval(() => {
-            serviceRegistry.updateHealth(this.serviceName, true);
-        }, 30000);
+        serviceRegistry.startHeartbeat(this.instanceId, async () => (await this.checkHealth()).status === 'healthy');
+    }
+
+    // Estado real do serviço: saudável só se o banco de dados responde
+    async checkHealth() {
+        try {
+            await this.listsDb.ping();
+            const listCount = await this.listsDb.count();
+            return {
+                service: this.serviceName,
+                status: 'healthy',
+                timestamp: new Date().toISOString(),
+                uptime: process.uptime(),
+                version: '1.0.0',
+                database: {
+                    type: 'JSON-NoSQL',
+                    listCount: listCount
+                }
+            };
+        } catch (error) {
+            return {
+                service: this.serviceName,
+                status: 'unhealthy',
+                timestamp: new Date().toISOString(),
+                error: error.message
+            };
+        }
     }
     constructor() {
         this.app = express();
         this.port = process.env.PORT || 3003;
         this.serviceName = 'list-service';
         this.serviceUrl = `http://localhost:${this.port}`;
+        // Papéis de colaboração, em ordem crescente de permissão
+        this.roles = ['viewer', 'editor', 'owner'];
+        // Conexões SSE abertas por lista: listId -> Map<res, { userId, role }>
+        this.listSubscribers = new Map();
         this.setupDatabase();
         this.setupMiddleware();
         this.setupRoutes();
@@ -36,13 +162,27 @@ class ListService {
 
     setupDatabase() {
         const dbPath = path.join(__dirname, 'database');
-        this.listsDb = new JsonDatabase(dbPath, 'lists');
+        this.listsDb = new JsonDatabase(dbPath, 'lists', {
+            indexes: ['userId'],
+            textIndex: LIST_TEXT_INDEX,
+            schema: LIST_SCHEMA,
+            migrations: LIST_MIGRATIONS
+        });
+        // Respostas guardadas por Idempotency-Key (POSTs repetidos pelo cliente ou pelo gateway)
+        this.idempotencyDb = new JsonDatabase(dbPath, 'idempotency_keys');
+        this.idempotent = createIdempotencyMiddleware(this.idempotencyDb);
+        // Posição do consumo de eventos do catálogo
+        this.syncStateDb = new JsonDatabase(dbPath, 'sync_state');
+        // Canal dos eventos SSE entre instâncias (sequence única, como em catalog_events)
+        this.listEventsDb = new JsonDatabase(dbPath, 'list_events', { unique: ['sequence'] });
         console.log('List Service: Banco NoSQL inicializado');
     }
 
     setupMiddleware() {
         this.app.use(helmet());
         this.app.use(cors());
+        // Logs de acesso sem o JWT de ?token= (stream SSE)
+        morgan.token('url', req => auth.stripQueryToken(req.originalUrl || req.url));
         this.app.use(morgan('combined'));
         this.app.use(express.json());
         this.app.use(express.urlencoded({ extended: true }));
@@ -54,50 +194,20 @@ class ListService {
         });
     }
 
-    // Middleware de autenticação 
+    // Middleware de autenticação (identidade do gateway ou JWT direto)
     authMiddleware(req, res, next) {
-        const authHeader = req.header('Authorization');
-        if (!authHeader?.startsWith('Bearer ')) {
-            return res.status(401).json({ success: false, message: 'Token obrigatório' });
-        }
-        try {
-            const jwt = require('jsonwebtoken');
-            const decoded = jwt.verify(authHeader.replace('Bearer ', ''), process.env.JWT_SECRET || 'user-service-secret-key-puc-minas');
-            req.user = decoded;
-            next();
-        } catch (error) {
-            console.error('Erro JWT:', error);
-            res.status(401).json({ success: false, message: 'Token inválido' });
-        }
+        auth.authMiddleware(req, res, next);
     }
 
     setupRoutes() {
-        // Health check
+        // Health check (o mesmo resultado renova a lease no service registry)
         this.app.get('/health', async (req, res) => {
-            try {
-                const listCount = await this.listsDb.count();
-                res.json({
-                    service: this.serviceName,
-                    status: 'healthy',
-                    timestamp: new Date().toISOString(),
-                    uptime: process.uptime(),
-                    version: '1.0.0',
-                    database: {
-                        type: 'JSON-NoSQL',
-                        listCount: listCount
-                    }
-                });
-            } catch (error) {
-                res.status(503).json({
-                    service: this.serviceName,
-                    status: 'unhealthy',
-                    error: error.message
-                });
-            }
+            const health = await this.checkHealth();
+            res.status(health.status === 'healthy' ? 200 : 503).json(health);
         });
 
         // Criar nova lista
-        this.app.post('/lists', this.authMiddleware.bind(this), async (req, res) => {
+        this.app.post('/lists', this.authMiddleware.bind(this), this.idempotent, async (req, res) => {
             try {
                 const { name, description } = req.body;
                 if (!name) return res.status(400).json({ success: false, message: 'Nome obrigatório' });
@@ -108,6 +218,7 @@ class ListService {
                     description: description || '',
                     status: 'active',
                     items: [],
+                    collaborators: [],
                     summary: {
                         totalItems: 0,
                         purchasedItems: 0,
@@ -118,166 +229,774 @@ class ListService {
                 });
                 res.status(201).json({ success: true, data: newList });
             } catch (error) {
+                if (this.sendDatabaseError(res, error)) return;
                 res.status(500).json({ success: false, message: 'Erro ao criar lista' });
             }
         });
 
-        // Listar listas do usuário
+        // Listar listas do usuário (próprias e compartilhadas), com paginação, ordenação e filtros
+        // (convenção em shared/pagination.js): ?page=&pageSize= ou ?cursor=, ?sort=-updatedAt,name,
+        // ?status=active,completed. Aceita ?filter={"items":{"$elemMatch":{"purchased":false}}} e ?fields=name,summary
         this.app.get('/lists', this.authMiddleware.bind(this), async (req, res) => {
             try {
-                const lists = await this.listsDb.find({ userId: req.user.id });
-                res.json({ success: true, data: lists });
+                const listQuery = pagination.parseListQuery(req.query, LIST_LIST_QUERY);
+                const accessFilter = this.accessFilter(req.user.id);
+                const structuredFilter = JsonDatabase.parseFilter(req.query.filter);
+                const filter = Object.keys(structuredFilter).length > 0
+                    ? { $and: [accessFilter, structuredFilter] }
+                    : accessFilter;
+                const projection = JsonDatabase.parseProjection(req.query.fields);
+                const page = await pagination.findPage(this.listsDb, filter, listQuery);
+                pagination.sendPage(req, res, {
+                    data: page.data.map(list => ({
+                        ...this.listsDb.applyProjection(list, projection),
+                        role: this.getListRole(list, req.user.id)
+                    })),
+                    pagination: page.pagination
+                });
             } catch (error) {
+                if (this.sendDatabaseError(res, error)) return;
                 res.status(500).json({ success: false, message: 'Erro ao listar listas' });
             }
         });
 
+        // Estatísticas das listas do usuário (próprias e compartilhadas), calculadas no servidor
+        this.app.get('/lists/stats', this.authMiddleware.bind(this), async (req, res) => {
+            try {
+                const match = { $match: this.accessFilter(req.user.id) };
+                const lineTotal = { $multiply: ['$items.quantity', '$items.estimatedPrice'] };
+
+                const [totals] = await this.listsDb.aggregate([
+                    match,
+                    {
+                        $group: {
+                            _id: null,
+                            totalLists: { $count: {} },
+                            totalItemsInLists: { $sum: '$summary.totalItems' },
+                            totalPurchased: { $sum: '$summary.purchasedItems' },
+                            totalEstimated: { $sum: '$summary.estimatedTotal' }
+                        }
+                    },
+                    { $project: { _id: 0, totalLists: 1, totalItemsInLists: 1, totalPurchased: 1, totalEstimated: 1 } }
+                ]);
+                const itemsPerList = await this.listsDb.aggregate([
+                    match,
+                    { $project: { name: 1, itemCount: { $size: '$items' }, estimatedTotal: '$summary.estimatedTotal' } },
+                    { $sort: { itemCount: -1 } }
+                ]);
+                const spendByCategory = await this.listsDb.aggregate([
+                    match,
+                    { $unwind: '$items' },
+                    {
+                        $group: {
+                            _id: { $ifNull: ['$items.category', 'Sem categoria'] },
+                            estimatedSpend: { $sum: lineTotal },
+                            purchasedSpend: { $sum: { $cond: ['$items.purchased', lineTotal, 0] } },
+                            items: { $count: {} }
+                        }
+                    },
+                    { $sort: { estimatedSpend: -1 } },
+                    { $project: { _id: 0, category: '$_id', estimatedSpend: 1, purchasedSpend: 1, items: 1 } }
+                ]);
+                const topProducts = await this.listsDb.aggregate([
+                    match,
+                    { $unwind: '$items' },
+                    {
+                        $group: {
+                            _id: '$items.itemId',
+                            itemName: { $first: '$items.itemName' },
+                            timesAdded: { $count: {} },
+                            totalQuantity: { $sum: '$items.quantity' }
+                        }
+                    },
+                    { $sort: { timesAdded: -1, totalQuantity: -1 } },
+                    { $limit: Number(req.query.top) || 5 },
+                    { $project: { _id: 0, itemId: '$_id', itemName: 1, timesAdded: 1, totalQuantity: 1 } }
+                ]);
+
+                res.json({
+                    success: true,
+                    data: {
+                        totals: totals || { totalLists: 0, totalItemsInLists: 0, totalPurchased: 0, totalEstimated: 0 },
+                        itemsPerList,
+                        spendByCategory,
+                        topProducts
+                    }
+                });
+            } catch (error) {
+                res.status(500).json({ success: false, message: 'Erro ao calcular estatísticas' });
+            }
+        });
+
+        // Busca textual nas listas do usuário (próprias e compartilhadas), ordenada por relevância
+        // (?q=&page=&pageSize=). Ignora acentos, aceita prefixos e erros de digitação.
+        this.app.get('/lists/search', this.authMiddleware.bind(this), async (req, res) => {
+            try {
+                const { q } = req.query;
+                if (!q || !q.trim()) return res.status(400).json({ success: false, message: 'Query obrigatória' });
+                const listQuery = pagination.parseListQuery(req.query);
+                const { total, results } = await this.listsDb.textSearch(q, {
+                    filter: this.accessFilter(req.user.id),
+                    skip: listQuery.skip,
+                    limit: listQuery.pageSize
+                });
+                pagination.sendPage(req, res, {
+                    data: results.map(({ document, score, matchedTerms }) => ({
+                        ...document,
+                        role: this.getListRole(document, req.user.id),
+                        score,
+                        matchedTerms
+                    })),
+                    pagination: pagination.offsetPagination(listQuery, total)
+                });
+            } catch (error) {
+                if (this.sendDatabaseError(res, error)) return;
+                res.status(500).json({ success: false, message: 'Erro na busca de listas' });
+            }
+        });
+
         // Buscar lista específica
-        this.app.get('/lists/:id', this.authMiddleware.bind(this), async (req, res) => {
+        this.app.get('/lists/:id', this.authMiddleware.bind(this), this.requireListRole('viewer'), async (req, res) => {
             try {
-                const list = await this.listsDb.findById(req.params.id);
-                if (!list || list.userId !== req.user.id) {
-                    return res.status(404).json({ success: false, message: 'Lista não encontrada' });
-                }
-                res.json({ success: true, data: list });
+                res.json({ success: true, data: { ...req.list, role: req.listRole } });
             } catch (error) {
                 res.status(500).json({ success: false, message: 'Erro ao buscar lista' });
             }
         });
 
         // Atualizar lista 
-        this.app.put('/lists/:id', this.authMiddleware.bind(this), async (req, res) => {
+        this.app.put('/lists/:id', this.authMiddleware.bind(this), this.requireListRole('editor'), async (req, res) => {
             try {
                 const { name, description } = req.body;
-                const list = await this.listsDb.findById(req.params.id);
-                if (!list || list.userId !== req.user.id) {
-                    return res.status(404).json({ success: false, message: 'Lista não encontrada' });
-                }
                 const updates = {};
                 if (name) updates.name = name;
                 if (description) updates.description = description;
                 updates.updatedAt = new Date().toISOString();
-                const updatedList = await this.listsDb.update(req.params.id, updates);
+                const updatedList = await this.listsDb.update(req.params.id, updates, { expectedVersion: this.getExpectedVersion(req) });
+                // null: lista deletada por outra requisição nesse meio tempo
+                if (!updatedList) return res.status(404).json({ success: false, message: 'Lista não encontrada' });
+                this.publishListEvent(updatedList.id, 'list-updated', {
+                    name: updatedList.name,
+                    description: updatedList.description,
+                    summary: updatedList.summary,
+                    by: req.user.id
+                });
                 res.json({ success: true, data: updatedList });
             } catch (error) {
+                if (this.sendDatabaseError(res, error)) return;
                 res.status(500).json({ success: false, message: 'Erro ao atualizar lista' });
             }
         });
 
         // Deletar lista
-        this.app.delete('/lists/:id', this.authMiddleware.bind(this), async (req, res) => {
+        this.app.delete('/lists/:id', this.authMiddleware.bind(this), this.requireListRole('owner'), async (req, res) => {
             try {
-                const list = await this.listsDb.findById(req.params.id);
-                if (!list || list.userId !== req.user.id) {
-                    return res.status(404).json({ success: false, message: 'Lista não encontrada' });
-                }
-                await this.listsDb.delete(req.params.id);
+                await this.listsDb.delete(req.params.id, { expectedVersion: this.getExpectedVersion(req) });
+                this.publishListEvent(req.params.id, 'list-deleted', { by: req.user.id });
                 res.json({ success: true, message: 'Lista deletada' });
             } catch (error) {
+                if (this.sendDatabaseError(res, error)) return;
                 res.status(500).json({ success: false, message: 'Erro ao deletar lista' });
             }
         });
 
         // Adicionar item à lista
-        this.app.post('/lists/:id/items', this.authMiddleware.bind(this), async (req, res) => {
+        this.app.post('/lists/:id/items', this.authMiddleware.bind(this), this.requireListRole('editor'), this.idempotent, async (req, res) => {
             try {
                 const { itemId, quantity, notes } = req.body;
                 if (!itemId || !quantity) return res.status(400).json({ success: false, message: 'itemId e quantity obrigatórios' });
-                const list = await this.listsDb.findById(req.params.id);
-                if (!list || list.userId !== req.user.id) {
-                    return res.status(404).json({ success: false, message: 'Lista não encontrada' });
+                // Buscar dados do item no Item Service (via service discovery), com o preço na loja padrão do usuário
+                const defaultStore = await this.getDefaultStore(req);
+                let itemData;
+                try {
+                    const itemResp = await requestService('item-service', {
+                        path: `/items/${encodeURIComponent(itemId)}`,
+                        params: defaultStore ? { store: defaultStore } : undefined
+                    });
+                    itemData = itemResp.data.data;
+                } catch (error) {
+                    if (error.response && error.response.status === 404) {
+                        return res.status(404).json({ success: false, message: 'Item não encontrado no catálogo' });
+                    }
+                    throw error;
+                }
+                if (itemData.active === false) {
+                    return res.status(409).json({ success: false, message: 'Item descontinuado no catálogo' });
                 }
-                // Buscar dados do item no Item Service
-                const itemServiceUrl = process.env.ITEM_SERVICE_URL || 'http://localhost:3002';
-                const itemResp = await axios.get(`${itemServiceUrl}/items/${itemId}`);
-                const itemData = itemResp.data.data;
                 const listItem = {
                     itemId: itemData.id,
                     itemName: itemData.name,
                     quantity: Number(quantity),
                     unit: itemData.unit,
-                    estimatedPrice: itemData.averagePrice,
+                    category: itemData.category,
+                    estimatedPrice: itemData.storePrice ? itemData.storePrice.price : itemData.averagePrice,
+                    priceSource: itemData.storePrice ? 'store' : 'average',
                     purchased: false,
                     notes: notes || '',
-                    addedAt: new Date().toISOString()
+                    addedAt: new Date().toISOString(),
+                    discontinued: false,
+                    catalogVersion: itemData.version
                 };
-                list.items.push(listItem);
-                this.recalculateSummary(list);
-                list.updatedAt = new Date().toISOString();
-                const updatedList = await this.listsDb.update(list.id, list);
+                if (defaultStore) listItem.priceStore = defaultStore;
+                // Alteração aplicada sobre a versão mais recente da lista, dentro da fila de escrita
+                const updatedList = await this.listsDb.update(req.list.id, list => {
+                    list.items.push(listItem);
+                    this.recalculateSummary(list);
+                    return { items: list.items, summary: list.summary };
+                }, { expectedVersion: this.getExpectedVersion(req) });
+                if (!updatedList) return res.status(404).json({ success: false, message: 'Lista não encontrada' });
+                this.publishListEvent(updatedList.id, 'item-added', { item: listItem, summary: updatedList.summary, by: req.user.id });
                 res.status(201).json({ success: true, data: updatedList });
             } catch (error) {
+                if (this.sendDatabaseError(res, error)) return;
+                if (error instanceof ServiceUnavailableError) {
+                    return res.status(503).json({ success: false, message: 'Catálogo de itens indisponível no momento' });
+                }
                 res.status(500).json({ success: false, message: 'Erro ao adicionar item à lista' });
             }
         });
 
         // Atualizar item na lista
-        this.app.put('/lists/:id/items/:itemId', this.authMiddleware.bind(this), async (req, res) => {
+        this.app.put('/lists/:id/items/:itemId', this.authMiddleware.bind(this), this.requireListRole('editor'), async (req, res) => {
             try {
                 const { quantity, purchased, notes } = req.body;
-                const list = await this.listsDb.findById(req.params.id);
-                if (!list || list.userId !== req.user.id) {
-                    return res.status(404).json({ success: false, message: 'Lista não encontrada' });
+                if (!req.list.items.some(i => i.itemId === req.params.itemId)) {
+                    return res.status(404).json({ success: false, message: 'Item não encontrado na lista' });
                 }
-                const item = list.items.find(i => i.itemId === req.params.itemId);
+                let item;
+                const updatedList = await this.listsDb.update(req.list.id, list => {
+                    item = list.items.find(i => i.itemId === req.params.itemId);
+                    if (!item) return {}; // Removido por outra requisição nesse meio tempo
+                    if (quantity !== undefined) item.quantity = Number(quantity);
+                    if (purchased !== undefined) item.purchased = !!purchased;
+                    if (notes !== undefined) item.notes = notes;
+                    this.recalculateSummary(list);
+                    return { items: list.items, summary: list.summary };
+                }, { expectedVersion: this.getExpectedVersion(req) });
+                if (!updatedList) return res.status(404).json({ success: false, message: 'Lista não encontrada' });
                 if (!item) return res.status(404).json({ success: false, message: 'Item não encontrado na lista' });
-                if (quantity !== undefined) item.quantity = Number(quantity);
-                if (purchased !== undefined) item.purchased = !!purchased;
-                if (notes !== undefined) item.notes = notes;
-                this.recalculateSummary(list);
-                list.updatedAt = new Date().toISOString();
-                const updatedList = await this.listsDb.update(list.id, list);
+                this.publishListEvent(updatedList.id, 'item-updated', { item, summary: updatedList.summary, by: req.user.id });
                 res.json({ success: true, data: updatedList });
             } catch (error) {
+                if (this.sendDatabaseError(res, error)) return;
                 res.status(500).json({ success: false, message: 'Erro ao atualizar item na lista' });
             }
         });
 
         // Remover item da lista
-        this.app.delete('/lists/:id/items/:itemId', this.authMiddleware.bind(this), async (req, res) => {
+        this.app.delete('/lists/:id/items/:itemId', this.authMiddleware.bind(this), this.requireListRole('editor'), async (req, res) => {
             try {
-                const list = await this.listsDb.findById(req.params.id);
-                if (!list || list.userId !== req.user.id) {
-                    return res.status(404).json({ success: false, message: 'Lista não encontrada' });
+                if (!req.list.items.some(i => i.itemId === req.params.itemId)) {
+                    return res.status(404).json({ success: false, message: 'Item não encontrado na lista' });
                 }
-                const idx = list.items.findIndex(i => i.itemId === req.params.itemId);
-                if (idx === -1) return res.status(404).json({ success: false, message: 'Item não encontrado na lista' });
-                list.items.splice(idx, 1);
-                this.recalculateSummary(list);
-                list.updatedAt = new Date().toISOString();
-                const updatedList = await this.listsDb.update(list.id, list);
+                let removedItem;
+                const updatedList = await this.listsDb.update(req.list.id, list => {
+                    const idx = list.items.findIndex(i => i.itemId === req.params.itemId);
+                    if (idx === -1) return {}; // Removido por outra requisição nesse meio tempo
+                    [removedItem] = list.items.splice(idx, 1);
+                    this.recalculateSummary(list);
+                    return { items: list.items, summary: list.summary };
+                }, { expectedVersion: this.getExpectedVersion(req) });
+                if (!updatedList) return res.status(404).json({ success: false, message: 'Lista não encontrada' });
+                if (!removedItem) return res.status(404).json({ success: false, message: 'Item não encontrado na lista' });
+                this.publishListEvent(updatedList.id, 'item-removed', { item: removedItem, summary: updatedList.summary, by: req.user.id });
                 res.json({ success: true, data: updatedList });
             } catch (error) {
+                if (this.sendDatabaseError(res, error)) return;
                 res.status(500).json({ success: false, message: 'Erro ao remover item da lista' });
             }
         });
 
         // Resumo da lista
-        this.app.get('/lists/:id/summary', this.authMiddleware.bind(this), async (req, res) => {
+        this.app.get('/lists/:id/summary', this.authMiddleware.bind(this), this.requireListRole('viewer'), async (req, res) => {
             try {
-                const list = await this.listsDb.findById(req.params.id);
-                if (!list || list.userId !== req.user.id) {
-                    return res.status(404).json({ success: false, message: 'Lista não encontrada' });
-                }
+                const list = req.list;
                 this.recalculateSummary(list);
                 res.json({ success: true, data: list.summary });
             } catch (error) {
                 res.status(500).json({ success: false, message: 'Erro ao obter resumo da lista' });
             }
         });
+
+        // Stream de alterações da lista (Server-Sent Events)
+        // EventSource não envia headers, então o token também é aceito via ?token=
+        this.app.get('/lists/:id/events', this.tokenFromQuery.bind(this), this.authMiddleware.bind(this), this.requireListRole('viewer'), (req, res) => {
+            res.set({
+                'Content-Type': 'text/event-stream',
+                'Cache-Control': 'no-cache',
+                'Connection': 'keep-alive',
+                'X-Accel-Buffering': 'no'
+            });
+            res.flushHeaders();
+            this.recalculateSummary(req.list);
+            this.sendEvent(res, 'connected', { listId: req.list.id, role: req.listRole, summary: req.list.summary });
+            this.subscribeToList(req.list.id, res, req.user.id, req.listRole);
+        });
+
+        // Listar colaboradores da lista
+        this.app.get('/lists/:id/collaborators', this.authMiddleware.bind(this), this.requireListRole('viewer'), async (req, res) => {
+            try {
+                const list = req.list;
+                res.json({
+                    success: true,
+                    data: {
+                        ownerId: list.userId,
+                        collaborators: list.collaborators || []
+                    }
+                });
+            } catch (error) {
+                res.status(500).json({ success: false, message: 'Erro ao listar colaboradores' });
+            }
+        });
+
+        // Convidar colaborador (por email ou username)
+        this.app.post('/lists/:id/collaborators', this.authMiddleware.bind(this), this.requireListRole('owner'), this.idempotent, async (req, res) => {
+            try {
+                const { identifier, role } = req.body;
+                const collaboratorRole = role || 'viewer';
+                if (!identifier) return res.status(400).json({ success: false, message: 'identifier (email ou username) obrigatório' });
+                if (!this.roles.includes(collaboratorRole)) {
+                    return res.status(400).json({ success: false, message: `Papel inválido. Use: ${this.roles.join(', ')}` });
+                }
+                const list = req.list;
+                // Buscar usuário convidado no User Service (via service discovery)
+                let invitedUser;
+                try {
+                    const userResp = await requestService('user-service', {
+                        path: '/users/lookup',
+                        params: { identifier },
+                        headers: auth.serviceIdentityHeaders()
+                    });
+                    invitedUser = userResp.data.data;
+                } catch (error) {
+                    if (error.response && error.response.status === 404) {
+                        return res.status(404).json({ success: false, message: 'Usuário não encontrado' });
+                    }
+                    throw error;
+                }
+                if (this.getListRole(list, invitedUser.id)) {
+                    return res.status(409).json({ success: false, message: 'Usuário já tem acesso à lista' });
+                }
+                const collaborator = {
+                    userId: invitedUser.id,
+                    username: invitedUser.username,
+                    role: collaboratorRole,
+                    invitedBy: req.user.id,
+                    addedAt: new Date().toISOString()
+                };
+                const updatedList = await this.listsDb.update(list.id, current => ({
+                    collaborators: [...(current.collaborators || []), collaborator]
+                }), { expectedVersion: this.getExpectedVersion(req) });
+                if (!updatedList) return res.status(404).json({ success: false, message: 'Lista não encontrada' });
+                this.publishCollaboratorsUpdated(updatedList, req.user.id);
+                res.status(201).json({ success: true, data: updatedList });
+            } catch (error) {
+                if (this.sendDatabaseError(res, error)) return;
+                if (error instanceof ServiceUnavailableError) {
+                    return res.status(503).json({ success: false, message: 'Serviço de usuários indisponível no momento' });
+                }
+                res.status(500).json({ success: false, message: 'Erro ao convidar colaborador' });
+            }
+        });
+
+        // Alterar papel de colaborador
+        this.app.put('/lists/:id/collaborators/:userId', this.authMiddleware.bind(this), this.requireListRole('owner'), async (req, res) => {
+            try {
+                const { role } = req.body;
+                if (!this.roles.includes(role)) {
+                    return res.status(400).json({ success: false, message: `Papel inválido. Use: ${this.roles.join(', ')}` });
+                }
+                if (!(req.list.collaborators || []).some(c => c.userId === req.params.userId)) {
+                    return res.status(404).json({ success: false, message: 'Colaborador não encontrado' });
+                }
+                const updatedList = await this.listsDb.update(req.list.id, current => ({
+                    collaborators: (current.collaborators || []).map(c => (c.userId === req.params.userId ? { ...c, role } : c))
+                }), { expectedVersion: this.getExpectedVersion(req) });
+                if (!updatedList) return res.status(404).json({ success: false, message: 'Lista não encontrada' });
+                this.publishCollaboratorsUpdated(updatedList, req.user.id);
+                res.json({ success: true, data: updatedList });
+            } catch (error) {
+                if (this.sendDatabaseError(res, error)) return;
+                res.status(500).json({ success: false, message: 'Erro ao atualizar colaborador' });
+            }
+        });
+
+        // Remover colaborador (owner remove qualquer um; colaborador pode sair da lista)
+        this.app.delete('/lists/:id/collaborators/:userId', this.authMiddleware.bind(this), this.requireListRole('viewer'), async (req, res) => {
+            try {
+                if (req.params.userId !== req.user.id && req.listRole !== 'owner') {
+                    return res.status(403).json({ success: false, message: 'Permissão insuficiente' });
+                }
+                if (!(req.list.collaborators || []).some(c => c.userId === req.params.userId)) {
+                    return res.status(404).json({ success: false, message: 'Colaborador não encontrado' });
+                }
+                const updatedList = await this.listsDb.update(req.list.id, current => ({
+                    collaborators: (current.collaborators || []).filter(c => c.userId !== req.params.userId)
+                }), { expectedVersion: this.getExpectedVersion(req) });
+                if (!updatedList) return res.status(404).json({ success: false, message: 'Lista não encontrada' });
+                this.publishCollaboratorsUpdated(updatedList, req.user.id);
+                res.json({ success: true, data: updatedList });
+            } catch (error) {
+                if (this.sendDatabaseError(res, error)) return;
+                res.status(500).json({ success: false, message: 'Erro ao remover colaborador' });
+            }
+        });
+    }
+
+    // Papel do usuário na lista: 'owner' para o dono, papel do colaborador ou null sem acesso
+    getListRole(list, userId) {
+        if (list.userId === userId) return 'owner';
+        const collaborator = (list.collaborators || []).find(c => c.userId === userId);
+        return collaborator ? collaborator.role : null;
+    }
+
+    // Filtro das listas que o usuário pode ver: próprias ou em que é colaborador
+    accessFilter(userId) {
+        return {
+            $or: [
+                { userId },
+                { collaborators: { $elemMatch: { userId } } }
+            ]
+        };
+    }
+
+    hasListPermission(list, userId, requiredRole) {
+        const role = this.getListRole(list, userId);
+        if (!role) return false;
+        return this.roles.indexOf(role) >= this.roles.indexOf(requiredRole);
+    }
+
+    // Middleware de permissão: carrega a lista em req.list se o usuário tiver o papel mínimo
+    requireListRole(requiredRole) {
+        return async (req, res, next) => {
+            try {
+                const list = await this.listsDb.findById(req.params.id);
+                const role = list ? this.getListRole(list, req.user.id) : null;
+                if (!role) {
+                    return res.status(404).json({ success: false, message: 'Lista não encontrada' });
+                }
+                if (!this.hasListPermission(list, req.user.id, requiredRole)) {
+                    return res.status(403).json({ success: false, message: 'Permissão insuficiente' });
+                }
+                req.list = list;
+                req.listRole = role;
+                next();
+            } catch (error) {
+                res.status(500).json({ success: false, message: 'Erro ao buscar lista' });
+            }
+        };
+    }
+
+    // Versão da lista que o cliente tem em mãos: header If-Match ou campo `version` do body
+    getExpectedVersion(req) {
+        const ifMatch = req.header('If-Match');
+        if (ifMatch) return Number(ifMatch.replace(/"/g, ''));
+        return req.body && req.body.version !== undefined ? Number(req.body.version) : undefined;
+    }
+
+    // Erros do banco causados pela requisição: 409 para versão desatualizada, 400 para dados ou filtros inválidos.
+    // Retorna true se a resposta foi enviada.
+    sendDatabaseError(res, error) {
+        if (error instanceof JsonDatabase.VersionConflictError) {
+            res.status(409).json({
+                success: false,
+                message: 'A lista foi alterada por outro usuário. Recarregue e tente novamente.',
+                currentVersion: error.currentVersion
+            });
+            return true;
+        }
+        if (error instanceof JsonDatabase.ValidationError) {
+            res.status(400).json({ success: false, message: error.message, errors: error.errors });
+            return true;
+        }
+        if (error instanceof JsonDatabase.QueryError) {
+            res.status(400).json({ success: false, message: error.message });
+            return true;
+        }
+        return false;
+    }
+
+    tokenFromQuery(req, res, next) {
+        if (!req.header('Authorization') && req.query.token) {
+            req.headers.authorization = `Bearer ${req.query.token}`;
+        }
+        next();
+    }
+
+    subscribeToList(listId, res, userId, role) {
+        if (!this.listSubscribers.has(listId)) {
+            this.listSubscribers.set(listId, new Map());
+        }
+        const subscribers = this.listSubscribers.get(listId);
+        subscribers.set(res, { userId, role });
+        // Comentário periódico para manter a conexão aberta em proxies
+        const heartbeat = setInterval(() => res.write(': ping\n\n'), 25000);
+        res.on('close', () => {
+            clearInterval(heartbeat);
+            subscribers.delete(res);
+            if (subscribers.size === 0) this.listSubscribers.delete(listId);
+        });
+    }
+
+    sendEvent(res, type, data) {
+        res.write(`event: ${type}\n`);
+        res.write(`data: ${JSON.stringify(data)}\n\n`);
+    }
+
+    // Os assinantes de uma lista podem estar conectados a qualquer instância: o evento é gravado em
+    // list_events e cada instância o entrega aos seus streams (deliverListEvents)
+    async publishListEvent(listId, type, data) {
+        const createdAt = new Date().toISOString();
+        const event = { listId, type, ...data, timestamp: createdAt };
+        try {
+            for (;;) {
+                const [last] = await this.listEventsDb.find({}, { sort: { sequence: -1 }, limit: 1 });
+                const sequence = last ? last.sequence + 1 : 1;
+                try {
+                    await this.listEventsDb.create({ id: `list-event-${sequence}`, sequence, event, createdAt });
+                    break;
+                } catch (error) {
+                    if (!(error instanceof JsonDatabase.DuplicateKeyError)) throw error;
+                }
+            }
+        } catch (error) {
+            // A alteração já foi gravada: registrar a falha sem derrubar a requisição
+            console.error(`Erro ao publicar evento ${type} da lista ${listId}:`, error);
+        }
+        this.deliverListEvents();
+    }
+
+    // Entregar aos streams desta instância os eventos gravados após o último entregue
+    async deliverListEvents() {
+        // Antes de startListEventDelivery não há streams abertos nesta instância
+        if (this.listEventsCursor === undefined) return;
+        if (this.deliveringListEvents) {
+            this.listEventsPending = true;
+            return;
+        }
+        this.deliveringListEvents = true;
+        try {
+            do {
+                this.listEventsPending = false;
+                const records = await this.listEventsDb.find(
+                    { sequence: { $gt: this.listEventsCursor } },
+                    { sort: { sequence: 1 } }
+                );
+                records.forEach(record => {
+                    this.listEventsCursor = record.sequence;
+                    this.sendListEvent(record.event);
+                });
+            } while (this.listEventsPending);
+        } catch (error) {
+            console.error('Erro ao entregar eventos das listas:', error.message);
+        } finally {
+            this.deliveringListEvents = false;
+        }
+    }
+
+    sendListEvent(event) {
+        const { listId, type } = event;
+        if (!this.listSubscribers.has(listId)) return;
+        if (type === 'collaborators-updated') {
+            this.restrictListStreams(listId, { userId: event.ownerId, collaborators: event.collaborators });
+        }
+        const subscribers = this.listSubscribers.get(listId);
+        if (subscribers) subscribers.forEach((subscriber, res) => this.sendEvent(res, type, event));
+        if (type === 'list-deleted') this.closeListStreams(listId);
+    }
+
+    // Começa a entregar a partir do último evento já gravado; os antigos são removidos após LIST_EVENTS_TTL_MS
+    async startListEventDelivery() {
+        if (this.listEventsTimer) return;
+        const [last] = await this.listEventsDb.find({}, { sort: { sequence: -1 }, limit: 1 });
+        this.listEventsCursor = last ? last.sequence : 0;
+        this.listEventsTimer = setInterval(() => this.deliverListEvents(), LIST_EVENTS_POLL_MS);
+        this.listEventsTimer.unref();
+        this.listEventsPruneTimer = setInterval(() => this.pruneListEvents(), LIST_EVENTS_PRUNE_MS);
+        this.listEventsPruneTimer.unref();
+    }
+
+    async pruneListEvents() {
+        try {
+            const [last] = await this.listEventsDb.find({}, { sort: { sequence: -1 }, limit: 1 });
+            if (!last) return;
+            // O último evento fica sempre: dele sai a próxima sequence
+            await this.listEventsDb.deleteMany({
+                sequence: { $lt: last.sequence },
+                createdAt: { $lt: new Date(Date.now() - LIST_EVENTS_TTL_MS).toISOString() }
+            });
+        } catch (error) {
+            console.error('Erro ao remover eventos antigos das listas:', error.message);
+        }
+    }
+
+    publishCollaboratorsUpdated(list, by) {
+        this.publishListEvent(list.id, 'collaborators-updated', {
+            ownerId: list.userId,
+            collaborators: list.collaborators || [],
+            by
+        });
+    }
+
+    // A permissão só é verificada ao abrir o stream: após alterar os colaboradores, encerrar os
+    // streams de quem perdeu o acesso ou teve o papel reduzido (ao reconectar, recebe o papel atual)
+    restrictListStreams(listId, access) {
+        const subscribers = this.listSubscribers.get(listId);
+        if (!subscribers) return;
+        subscribers.forEach((subscriber, res) => {
+            const role = this.getListRole(access, subscriber.userId);
+            if (!role || this.roles.indexOf(role) < this.roles.indexOf(subscriber.role)) {
+                this.sendEvent(res, 'access-changed', { listId, role });
+                res.end();
+                subscribers.delete(res);
+            }
+        });
+        if (subscribers.size === 0) this.listSubscribers.delete(listId);
+    }
+
+    closeListStreams(listId) {
+        const subscribers = this.listSubscribers.get(listId);
+        if (!subscribers) return;
+        subscribers.forEach((subscriber, res) => res.end());
+        this.listSubscribers.delete(listId);
     }
 
     recalculateSummary(list) {
         const totalItems = list.items.length;
         const purchasedItems = list.items.filter(i => i.purchased).length;
-        const estimatedTotal = list.items.reduce((sum, i) => sum + (i.estimatedPrice * i.quantity), 0);
+        const discontinuedItems = list.items.filter(i => i.discontinued).length;
+        // Itens descontinuados ainda não comprados não podem mais ser comprados: ficam fora do total
+        const estimatedTotal = list.items
+            .filter(i => i.purchased || !i.discontinued)
+            .reduce((sum, i) => sum + ((i.estimatedPrice || 0) * i.quantity), 0);
         list.summary = {
             totalItems,
             purchasedItems,
+            discontinuedItems,
             estimatedTotal
         };
     }
 
+    // Loja padrão do usuário (preferences.defaultStore); sem ela, ou com o User Service fora do ar,
+    // a estimativa usa o averagePrice do catálogo
+    async getDefaultStore(req) {
+        try {
+            const userResp = await requestService('user-service', {
+                path: `/users/${encodeURIComponent(req.user.id)}`,
+                headers: auth.forwardAuthHeaders(req)
+            });
+            const preferences = userResp.data.data.preferences || {};
+            return typeof preferences.defaultStore === 'string' && preferences.defaultStore.trim()
+                ? preferences.defaultStore.trim()
+                : null;
+        } catch (error) {
+            console.warn('Não foi possível obter a loja padrão do usuário:', error.message);
+            return null;
+        }
+    }
+
+    // Preço estimado de uma entrada após um evento do catálogo: entradas com preço de loja só mudam
+    // quando o evento traz uma observação daquela loja; as demais acompanham o averagePrice
+    getCatalogPrice(entry, event) {
+        const storePrice = event.storePrice;
+        if (entry.priceStore && storePrice && storePrice.storeKey === this.normalizeStore(entry.priceStore)) {
+            return { estimatedPrice: storePrice.price, priceSource: 'store' };
+        }
+        if (entry.priceSource === 'store') {
+            return { estimatedPrice: entry.estimatedPrice, priceSource: 'store' };
+        }
+        return { estimatedPrice: event.item.averagePrice, priceSource: 'average' };
+    }
+
+    // Mesma normalização de nome de loja usada pelo item-service
+    normalizeStore(store) {
+        return String(store).trim().replace(/\s+/g, ' ').toLowerCase();
+    }
+
+    // Consumir os eventos do catálogo periodicamente. A posição (última sequência aplicada) fica
+    // gravada em sync_state, então eventos publicados com o list-service fora do ar são aplicados depois.
+    startCatalogSync(intervalMs = CATALOG_SYNC_INTERVAL_MS) {
+        if (this.catalogSyncTimer) return;
+        this.syncCatalogEvents();
+        this.catalogSyncTimer = setInterval(() => this.syncCatalogEvents(), intervalMs);
+        this.catalogSyncTimer.unref();
+    }
+
+    async syncCatalogEvents() {
+        if (this.catalogSyncing) return;
+        this.catalogSyncing = true;
+        try {
+            const cursor = await this.syncStateDb.findById(CATALOG_CURSOR_ID);
+            let after = cursor ? cursor.lastSequence : 0;
+
+            for (;;) {
+                const response = await requestService('item-service', {
+                    path: '/catalog/events',
+                    params: { after, limit: CATALOG_SYNC_BATCH },
+                    headers: auth.serviceIdentityHeaders()
+                });
+                const { events } = response.data.data;
+                if (events.length === 0) break;
+
+                for (const event of events) {
+                    await this.applyCatalogEvent(event);
+                    after = event.sequence;
+                }
+                await this.saveCatalogCursor(after);
+                if (events.length < CATALOG_SYNC_BATCH) break;
+            }
+        } catch (error) {
+            console.error('Erro ao sincronizar eventos do catálogo:', error.message);
+        } finally {
+            this.catalogSyncing = false;
+        }
+    }
+
+    async saveCatalogCursor(lastSequence) {
+        const state = { lastSequence, syncedAt: new Date().toISOString() };
+        const updated = await this.syncStateDb.update(CATALOG_CURSOR_ID, state);
+        if (!updated) {
+            await this.syncStateDb.create({ id: CATALOG_CURSOR_ID, ...state });
+        }
+    }
+
+    // Atualizar as entradas do item em todas as listas com o estado do catálogo informado no evento.
+    // Idempotente: entradas que já refletem a versão do evento (ou uma mais nova) não mudam.
+    async applyCatalogEvent(event) {
+        const item = event.item;
+        const isOutdated = entry => entry.itemId === item.id
+            && (entry.catalogVersion === undefined || entry.catalogVersion < item.version);
+        const lists = await this.listsDb.find({ items: { $elemMatch: { itemId: item.id } } });
+
+        // Só altera (e incrementa a versão de) listas com entradas desatualizadas
+        for (const list of lists.filter(current => current.items.some(isOutdated))) {
+            let changedItems = [];
+            const updatedList = await this.listsDb.update(list.id, current => {
+                changedItems = [];
+                current.items.forEach(entry => {
+                    if (!isOutdated(entry)) return;
+                    entry.itemName = item.name;
+                    entry.unit = item.unit;
+                    entry.category = item.category;
+                    Object.assign(entry, this.getCatalogPrice(entry, event));
+                    entry.discontinued = item.active === false;
+                    entry.catalogVersion = item.version;
+                    changedItems.push(entry);
+                });
+                if (changedItems.length === 0) return {};
+                this.recalculateSummary(current);
+                return { items: current.items, summary: current.summary };
+            });
+            if (updatedList && changedItems.length > 0) {
+                this.publishListEvent(updatedList.id, 'catalog-item-updated', {
+                    catalogEvent: event.type,
+                    items: changedItems,
+                    summary: updatedList.summary
+                });
+            }
+        }
+    }
+
     setupErrorHandling() {
         this.app.use('*', (req, res) => {
             res.status(404).json({ success: false, message: 'Endpoint não encontrado', service: this.serviceName });
@@ -289,7 +1008,7 @@ class ListService {
     }
 
     start() {
-        this.app.listen(this.port, () => {
+        this.app.listen(this.port, async () => {
             console.log('=====================================');
             console.log(`List Service iniciado na porta ${this.port}`);
             console.log(`URL: ${this.serviceUrl}`);
@@ -298,6 +1017,11 @@ class ListService {
             console.log('=====================================');
             this.registerWithRegistry();
             this.startHealthReporting();
+            tokenRevocation.startSync();
+            this.startCatalogSync();
+            await this.startListEventDelivery().catch(error => {
+                console.error('Erro ao iniciar a entrega de eventos das listas:', error.message);
+            });
         });
     }
 }
@@ -307,15 +1031,7 @@ if (require.main === module) {
     const listService = new ListService();
     listService.start();
 
-    // Cleanup automático ao encerrar
-    process.on('SIGTERM', () => {
-        serviceRegistry.unregister('list-service');
-        process.exit(0);
-    });
-    process.on('SIGINT', () => {
-        serviceRegistry.unregister('list-service');
-        process.exit(0);
-    });
+    // SIGINT/SIGTERM: tratados por shared/serviceRegistry, que remove as instâncias do processo antes de sair
 }
 
 module.exports = ListService;
@@ -5,11 +5,90 @@ const morgan = require('morgan');
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
 const { v4: uuidv4 } = require('uuid');
+const crypto = require('crypto');
 const path = require('path');
 
 // Importar banco NoSQL e service registry
 const JsonDatabase = require('../../shared/JsonDatabase');
+const pagination = require('../../shared/pagination');
 const serviceRegistry = require('../../shared/serviceRegistry');
+const auth = require('../../shared/auth');
+const tokenRevocation = require('../../shared/tokenRevocation');
+const Mailer = require('../../shared/Mailer');
+
+// Validade dos tokens em segundos: access token curto, refresh token rotativo mais longo
+const ACCESS_TOKEN_TTL = Number(process.env.ACCESS_TOKEN_TTL) || 15 * 60;
+const REFRESH_TOKEN_TTL = Number(process.env.REFRESH_TOKEN_TTL) || 7 * 24 * 60 * 60;
+const PASSWORD_RESET_TTL = Number(process.env.PASSWORD_RESET_TTL) || 60 * 60;
+// Regras de senha do registro, da troca e da redefinição (bcrypt considera só os primeiros 72 bytes)
+const PASSWORD_MIN_LENGTH = 6;
+const PASSWORD_MAX_BYTES = 72;
+
+// Proteção contra força bruta no login. Após `backoffAfter` falhas, cada nova tentativa espera
+// backoffBaseMs * 2^(falhas - backoffAfter), até backoffMaxMs; a conta é bloqueada após `lockAfter` falhas.
+// Falhas mais antigas que windowMs são descartadas.
+const LOGIN_PROTECTION = {
+    account: {
+        backoffAfter: Number(process.env.LOGIN_BACKOFF_AFTER) || 3,
+        lockAfter: Number(process.env.LOGIN_LOCK_AFTER) || 10
+    },
+    ip: {
+        backoffAfter: Number(process.env.LOGIN_IP_BACKOFF_AFTER) || 20,
+        lockAfter: null
+    },
+    backoffBaseMs: 1000,
+    backoffMaxMs: 15 * 60 * 1000,
+    lockDurationMs: (Number(process.env.LOGIN_LOCK_MINUTES) || 15) * 60 * 1000,
+    windowMs: 60 * 60 * 1000,
+    // Limite de registros para identificadores que não correspondem a nenhuma conta
+    maxUnknownRecords: Number(process.env.LOGIN_UNKNOWN_MAX_RECORDS) || 10000
+};
+
+// Parâmetros das listagens administrativas (ver shared/pagination.js)
+const USER_LIST_QUERY = {
+    filters: { role: 'string', status: 'string', createdAt: 'date' },
+    sortable: ['createdAt', 'updatedAt', 'username', 'email', 'firstName', 'lastName'],
+    defaultSort: '-createdAt'
+};
+const AUDIT_LIST_QUERY = {
+    filters: { action: 'string', actorId: 'string', targetId: 'string' },
+    sortable: ['createdAt', 'action'],
+    defaultSort: '-createdAt'
+};
+
+// Schema da coleção users (validado pelo JsonDatabase em create/update)
+const USER_SCHEMA = {
+    type: 'object',
+    required: ['email', 'username', 'password', 'firstName', 'lastName', 'role', 'status'],
+    properties: {
+        email: { type: 'string', format: 'email' },
+        username: { type: 'string', minLength: 3, maxLength: 50 },
+        password: { type: 'string' },
+        firstName: { type: 'string', maxLength: 100 },
+        lastName: { type: 'string', maxLength: 100 },
+        role: { type: 'string', enum: ['admin', 'catalog-editor', 'user'] },
+        status: { type: 'string', enum: ['active', 'inactive', 'suspended'] },
+        statusReason: { type: ['string', 'null'], maxLength: 500 },
+        passwordResetRequired: { type: 'boolean' },
+        passwordChangedAt: { type: 'string', format: 'date-time' },
+        preferences: {
+            type: 'object',
+            properties: {
+                defaultStore: { type: 'string' },
+                currency: { type: 'string', minLength: 3, maxLength: 3 }
+            }
+        }
+    }
+};
+
+// Migrações da coleção users, aplicadas na inicialização
+const USER_MIGRATIONS = [
+    {
+        version: 1,
+        description: 'Adicionar campo version para concorrência otimista',
+        up: user => ({ ...user, version: user.version || 1 })
+    }
+];
 
 class UserService {
     constructor() {
@@ -19,6 +98,7 @@ class UserService {
         this.serviceUrl = `http://localhost:${this.port}`;
         
         this.setupDatabase();
+        this.setupMailer();
         this.setupMiddleware();
         this.setupRoutes();
         this.setupErrorHandling();
@@ -27,10 +107,42 @@ class UserService {
 
     setupDatabase() {
         const dbPath = path.join(__dirname, 'database');
-        this.usersDb = new JsonDatabase(dbPath, 'users');
+        this.usersDb = new JsonDatabase(dbPath, 'users', {
+            indexes: ['email', 'username'],
+            schema: USER_SCHEMA,
+            migrations: USER_MIGRATIONS
+        });
+        // Refresh tokens guardados apenas como hash SHA-256
+        this.refreshTokensDb = new JsonDatabase(dbPath, 'refresh_tokens', {
+            indexes: ['tokenHash', 'userId', 'familyId']
+        });
+        // Revogações: por token (jti) ou por usuário (todos os tokens emitidos antes de uma data)
+        this.revokedTokensDb = new JsonDatabase(dbPath, 'revoked_tokens', {
+            indexes: ['jti', 'userId', 'type']
+        });
+        // Tokens de redefinição de senha (hash SHA-256, uso único)
+        this.passwordResetsDb = new JsonDatabase(dbPath, 'password_resets', {
+            indexes: ['tokenHash', 'userId']
+        });
+        // Tentativas de login falhas por conta e por IP (sobrevivem a reinícios)
+        this.loginAttemptsDb = new JsonDatabase(dbPath, 'login_attempts', {
+            indexes: ['key', 'unknownAccount'],
+            unique: ['key']
+        });
+        // Auditoria das ações administrativas
+        this.auditDb = new JsonDatabase(dbPath, 'audit_log', {
+            indexes: ['action', 'actorId', 'targetId']
+        });
         console.log('User Service: Banco NoSQL inicializado');
     }
 
+    // Emails: MAIL_TRANSPORT=outbox (padrão, grava em ./outbox ou MAIL_OUTBOX_DIR) ou console
+    setupMailer() {
+        this.mailer = new Mailer({
+            dir: process.env.MAIL_OUTBOX_DIR || path.join(__dirname, 'outbox')
+        });
+    }
+
     async seedInitialData() {
         // Aguardar inicialização e criar usuário admin se não existir
         setTimeout(async () => {
@@ -64,6 +176,8 @@ class UserService {
     }
 
     setupMiddleware() {
+        // Usar X-Forwarded-For do gateway local para identificar o IP do cliente
+        this.app.set('trust proxy', auth.trustProxySetting(process.env.TRUST_PROXY, 'loopback'));
         this.app.use(helmet());
         this.app.use(cors());
         this.app.use(morgan('combined'));
@@ -80,28 +194,10 @@ class UserService {
     }
 
     setupRoutes() {
-        // Health check
+        // Health check (o mesmo resultado renova a lease no service registry)
         this.app.get('/health', async (req, res) => {
-            try {
-                const userCount = await this.usersDb.count();
-                res.json({
-                    service: this.serviceName,
-                    status: 'healthy',
-                    timestamp: new Date().toISOString(),
-                    uptime: process.uptime(),
-                    version: '1.0.0',
-                    database: {
-                        type: 'JSON-NoSQL',
-                        userCount: userCount
-                    }
-                });
-            } catch (error) {
-                res.status(503).json({
-                    service: this.serviceName,
-                    status: 'unhealthy',
-                    error: error.message
-                });
-            }
+            const health = await this.checkHealth();
+            res.status(health.status === 'healthy' ? 200 : 503).json(health);
         });
 
         // Service info
@@ -114,8 +210,21 @@ class UserService {
                 endpoints: [
                     'POST /auth/register',
                     'POST /auth/login', 
+                    'POST /auth/refresh',
+                    'POST /auth/logout',
+                    'POST /auth/forgot',
+                    'POST /auth/reset',
+                    'GET /auth/revocations',
+                    'GET /users/lookup?identifier=',
                     'GET /users/:id',
-                    'PUT /users/:id'
+                    'PUT /users/:id',
+                    'PUT /users/:id/password',
+                    'GET /admin/users',
+                    'PUT /admin/users/:id/role',
+                    'PUT /admin/users/:id/status',
+                    'POST /admin/users/:id/force-password-reset',
+                    'POST /admin/users/:id/unlock',
+                    'GET /admin/audit'
                 ]
             });
         });
@@ -123,10 +232,26 @@ class UserService {
         // Auth routes - CONFORME TAREFA ROTEIRO 03
         this.app.post('/auth/register', this.register.bind(this));
         this.app.post('/auth/login', this.login.bind(this));
+        this.app.post('/auth/refresh', this.refresh.bind(this));
+        this.app.post('/auth/logout', this.authMiddleware.bind(this), this.logout.bind(this));
+        this.app.get('/auth/revocations', this.authMiddleware.bind(this), this.requireServiceOrAdmin.bind(this), this.listRevocations.bind(this));
+        this.app.post('/auth/forgot', this.forgotPassword.bind(this));
+        this.app.post('/auth/reset', this.resetPassword.bind(this));
 
         // User routes (protected)
+        this.app.get('/users/lookup', this.authMiddleware.bind(this), this.requireServiceOrAdmin.bind(this), this.lookupUser.bind(this));
         this.app.get('/users/:id', this.authMiddleware.bind(this), this.getUser.bind(this));
         this.app.put('/users/:id', this.authMiddleware.bind(this), this.updateUser.bind(this));
+        this.app.put('/users/:id/password', this.authMiddleware.bind(this), this.changePassword.bind(this));
+
+        // Admin routes
+        const adminOnly = [this.authMiddleware.bind(this), this.requireAdmin.bind(this)];
+        this.app.get('/admin/users', ...adminOnly, this.listUsers.bind(this));
+        this.app.put('/admin/users/:id/role', ...adminOnly, this.changeUserRole.bind(this));
+        this.app.put('/admin/users/:id/status', ...adminOnly, this.changeUserStatus.bind(this));
+        this.app.post('/admin/users/:id/force-password-reset', ...adminOnly, this.forcePasswordReset.bind(this));
+        this.app.post('/admin/users/:id/unlock', ...adminOnly, this.unlockUser.bind(this));
+        this.app.get('/admin/audit', ...adminOnly, this.listAuditLog.bind(this));
     }
 
     setupErrorHandling() {
@@ -149,30 +274,134 @@ class UserService {
     }
 
     // Auth middleware
-    authMiddleware(req, res, next) {
-        const authHeader = req.header('Authorization');
-        
-        if (!authHeader?.startsWith('Bearer ')) {
-            return res.status(401).json({
+    // Identidade assinada pelo gateway ou JWT direto (ver shared/auth.js); a revogação é
+    // conferida direto no banco, já que este serviço é a fonte da lista
+    async authMiddleware(req, res, next) {
+        let decoded;
+        try {
+            decoded = auth.authenticateRequest(req);
+        } catch (error) {
+            return res.status(error instanceof auth.AuthError ? error.status : 401).json({
                 success: false,
-                message: 'Token obrigatório'
+                message: error instanceof auth.AuthError ? error.message : 'Token inválido'
             });
         }
 
-        const token = authHeader.replace('Bearer ', '');
-        
         try {
-            const decoded = jwt.verify(token, process.env.JWT_SECRET || 'user-service-secret-key-puc-minas');
+            if (await this.isTokenRevoked(decoded)) {
+                return res.status(401).json({
+                    success: false,
+                    message: 'Token revogado'
+                });
+            }
             req.user = decoded;
             next();
         } catch (error) {
-            res.status(401).json({
+            console.error('Erro ao verificar revogação do token:', error);
+            res.status(500).json({
                 success: false,
-                message: 'Token inválido'
+                message: 'Erro interno do servidor'
             });
         }
     }
 
+    // Emitir access token (JWT curto, com jti para revogação) e refresh token opaco.
+    // `familyId` agrupa os refresh tokens de uma mesma sessão ao longo das rotações.
+    // Retorna { tokens, refreshTokenId }: `tokens` é o que vai para o cliente.
+    async issueTokens(user, familyId = uuidv4()) {
+        const token = jwt.sign(
+            {
+                id: user.id,
+                email: user.email,
+                username: user.username,
+                role: user.role,
+                iatMs: Date.now()
+            },
+            auth.getJwtSecret(),
+            { expiresIn: ACCESS_TOKEN_TTL, jwtid: uuidv4() }
+        );
+
+        const refreshToken = crypto.randomBytes(48).toString('hex');
+        const stored = await this.refreshTokensDb.create({
+            id: uuidv4(),
+            userId: user.id,
+            familyId,
+            tokenHash: this.hashToken(refreshToken),
+            expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL * 1000).toISOString(),
+            revokedAt: null,
+            replacedBy: null
+        });
+
+        return { tokens: { token, refreshToken, expiresIn: ACCESS_TOKEN_TTL }, refreshTokenId: stored.id };
+    }
+
+    hashToken(token) {
+        return crypto.createHash('sha256').update(token).digest('hex');
+    }
+
+    async isTokenRevoked(decoded) {
+        if (decoded.jti && await this.revokedTokensDb.findOne({ type: 'token', jti: decoded.jti })) {
+            return true;
+        }
+        const userRevocation = await this.revokedTokensDb.findOne({ type: 'user', userId: decoded.id });
+        return !!userRevocation && tokenRevocation.issuedBefore(decoded, userRevocation.issuedBefore);
+    }
+
+    // Revogar o access token atual até a sua expiração
+    async revokeAccessToken(decoded, reason) {
+        if (!decoded.jti) return;
+        await this.revokedTokensDb.create({
+            id: uuidv4(),
+            type: 'token',
+            jti: decoded.jti,
+            userId: decoded.id,
+            reason,
+            expiresAt: new Date(decoded.exp * 1000).toISOString()
+        });
+    }
+
+    // Revogar todos os tokens de um usuário: refresh tokens ativos e access tokens já emitidos
+    async revokeAllUserTokens(userId, reason) {
+        const activeTokens = await this.refreshTokensDb.find({ userId, revokedAt: null });
+        for (const refreshToken of activeTokens) {
+            await this.refreshTokensDb.update(refreshToken.id, { revokedAt: new Date().toISOString() });
+        }
+
+        const revocation = {
+            type: 'user',
+            userId,
+            reason,
+            issuedBefore: Date.now(),
+            expiresAt: new Date(Date.now() + ACCESS_TOKEN_TTL * 1000).toISOString()
+        };
+        const existing = await this.revokedTokensDb.findOne({ type: 'user', userId });
+        if (existing) {
+            await this.revokedTokensDb.update(existing.id, revocation);
+        } else {
+            await this.revokedTokensDb.create({ id: uuidv4(), ...revocation });
+        }
+    }
+
+    async revokeTokenFamily(familyId) {
+        const familyTokens = await this.refreshTokensDb.find({ familyId, revokedAt: null });
+        for (const refreshToken of familyTokens) {
+            await this.refreshTokensDb.update(refreshToken.id, { revokedAt: new Date().toISOString() });
+        }
+    }
+
+    // Remover revogações e refresh tokens já expirados
+    async pruneExpiredTokens() {
+        const now = new Date().toISOString();
+        const expiredRevocations = await this.revokedTokensDb.find({ expiresAt: { $lt: now } });
+        for (const revocation of expiredRevocations) {
+            await this.revokedTokensDb.delete(revocation.id);
+        }
+        const expiredRefreshTokens = await this.refreshTokensDb.find({ expiresAt: { $lt: now } });
+        for (const refreshToken of expiredRefreshTokens) {
+            await this.refreshTokensDb.delete(refreshToken.id);
+        }
+    }
+
     // Register user - CONFORME SCHEMA DA TAREFA
     async register(req, res) {
         try {
@@ -186,6 +415,14 @@ class UserService {
                 });
             }
 
+            const passwordError = this.validatePassword(password);
+            if (passwordError) {
+                return res.status(400).json({
+                    success: false,
+                    message: passwordError
+                });
+            }
+
             // Verificar se usuário já existe
             const existingEmail = await this.usersDb.findOne({ email: email.toLowerCase() });
             const existingUsername = await this.usersDb.findOne({ username: username.toLowerCase() });
@@ -227,23 +464,21 @@ class UserService {
 
             const { password: _, ...userWithoutPassword } = newUser;
 
-            const token = jwt.sign(
-                { 
-                    id: newUser.id, 
-                    email: newUser.email, 
-                    username: newUser.username,
-                    role: newUser.role 
-                },
-                process.env.JWT_SECRET || 'user-service-secret-key-puc-minas',
-                { expiresIn: '24h' }
-            );
+            const { tokens } = await this.issueTokens(newUser);
 
             res.status(201).json({
                 success: true,
                 message: 'Usuário criado com sucesso',
-                data: { user: userWithoutPassword, token }
+                data: { user: userWithoutPassword, ...tokens }
             });
         } catch (error) {
+            if (error instanceof JsonDatabase.ValidationError) {
+                return res.status(400).json({
+                    success: false,
+                    message: error.message,
+                    errors: error.errors
+                });
+            }
             console.error('Erro no registro:', error);
             res.status(500).json({
                 success: false,
@@ -264,6 +499,12 @@ class UserService {
                 });
             }
 
+            const ipKey = `ip:${req.ip}`;
+            const ipBlock = await this.getLoginBlock(ipKey, 'ip');
+            if (ipBlock) {
+                return this.sendLoginBlock(res, ipBlock);
+            }
+
             const user = await this.usersDb.findOne({
                 $or: [
                     { email: identifier.toLowerCase() },
@@ -271,13 +512,27 @@ class UserService {
                 ]
             });
 
+            // Identificadores inexistentes também são limitados, para não revelar quais contas existem
+            const accountKey = user ? `account:${user.id}` : `unknown:${identifier.toLowerCase()}`;
+            const accountBlock = await this.getLoginBlock(accountKey, 'account');
+            if (accountBlock) {
+                return this.sendLoginBlock(res, accountBlock);
+            }
+
             if (!user || !await bcrypt.compare(password, user.password)) {
+                await this.recordLoginFailure(ipKey, 'ip');
+                const lock = await this.recordLoginFailure(accountKey, 'account');
+                if (lock) {
+                    return this.sendLoginBlock(res, lock);
+                }
                 return res.status(401).json({
                     success: false,
                     message: 'Credenciais inválidas'
                 });
             }
 
+            await this.clearLoginFailures(accountKey);
+
             // Verificar se usuário está ativo
             if (user.status !== 'active') {
                 return res.status(403).json({
@@ -286,6 +541,14 @@ class UserService {
                 });
             }
 
+            if (user.passwordResetRequired) {
+                return res.status(403).json({
+                    success: false,
+                    code: 'PASSWORD_RESET_REQUIRED',
+                    message: 'Redefinição de senha obrigatória'
+                });
+            }
+
             // Atualizar dados de login
             await this.usersDb.update(user.id, {
                 updatedAt: new Date().toISOString()
@@ -293,21 +556,12 @@ class UserService {
 
             const { password: _, ...userWithoutPassword } = user;
             
-            const token = jwt.sign(
-                { 
-                    id: user.id, 
-                    email: user.email, 
-                    username: user.username,
-                    role: user.role 
-                },
-                process.env.JWT_SECRET || 'user-service-secret-key-puc-minas',
-                { expiresIn: '24h' }
-            );
+            const { tokens } = await this.issueTokens(user);
 
             res.json({
                 success: true,
                 message: 'Login realizado com sucesso',
-                data: { user: userWithoutPassword, token }
+                data: { user: userWithoutPassword, ...tokens }
             });
         } catch (error) {
             console.error('Erro no login:', error);
@@ -318,6 +572,139 @@ class UserService {
         }
     }
 
+    // Refresh token rotation: cada refresh token só pode ser usado uma vez
+    async refresh(req, res) {
+        try {
+            const { refreshToken } = req.body;
+
+            if (!refreshToken) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'refreshToken obrigatório'
+                });
+            }
+
+            const stored = await this.refreshTokensDb.findOne({ tokenHash: this.hashToken(refreshToken) });
+            if (!stored) {
+                return res.status(401).json({
+                    success: false,
+                    message: 'Refresh token inválido'
+                });
+            }
+
+            // Reuso de um token já rotacionado indica roubo: revogar a sessão inteira
+            if (stored.revokedAt) {
+                await this.revokeTokenFamily(stored.familyId);
+                return res.status(401).json({
+                    success: false,
+                    message: 'Refresh token revogado'
+                });
+            }
+
+            if (new Date(stored.expiresAt) < new Date()) {
+                return res.status(401).json({
+                    success: false,
+                    message: 'Refresh token expirado'
+                });
+            }
+
+            const user = await this.usersDb.findById(stored.userId);
+            if (!user || user.status !== 'active') {
+                await this.revokeTokenFamily(stored.familyId);
+                return res.status(403).json({
+                    success: false,
+                    message: 'Conta desativada'
+                });
+            }
+
+            // Marcar o token como usado antes de emitir o novo par, condicionado à versão lida:
+            // entre requisições concorrentes com o mesmo token só uma recebe tokens. Um novo uso
+            // do token depois disso cai no caso de reuso acima e revoga a sessão.
+            try {
+                await this.refreshTokensDb.update(stored.id, { revokedAt: new Date().toISOString() }, {
+                    expectedVersion: stored.version
+                });
+            } catch (error) {
+                if (!(error instanceof JsonDatabase.VersionConflictError)) throw error;
+                return res.status(401).json({
+                    success: false,
+                    message: 'Refresh token revogado'
+                });
+            }
+
+            const { tokens, refreshTokenId } = await this.issueTokens(user, stored.familyId);
+            await this.refreshTokensDb.update(stored.id, { replacedBy: refreshTokenId });
+
+            res.json({
+                success: true,
+                message: 'Token renovado com sucesso',
+                data: tokens
+            });
+        } catch (error) {
+            console.error('Erro ao renovar token:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Erro interno do servidor'
+            });
+        }
+    }
+
+    // Logout: revoga o access token atual e o refresh token informado
+    // (ou todas as sessões do usuário com `allDevices: true`)
+    async logout(req, res) {
+        try {
+            const { refreshToken, allDevices } = req.body || {};
+
+            if (allDevices) {
+                await this.revokeAllUserTokens(req.user.id, 'logout-all');
+            } else if (refreshToken) {
+                const stored = await this.refreshTokensDb.findOne({ tokenHash: this.hashToken(refreshToken) });
+                if (stored && stored.userId === req.user.id) {
+                    await this.revokeTokenFamily(stored.familyId);
+                }
+            }
+            await this.revokeAccessToken(req.user, 'logout');
+            await this.pruneExpiredTokens();
+
+            res.json({
+                success: true,
+                message: 'Logout realizado com sucesso'
+            });
+        } catch (error) {
+            console.error('Erro no logout:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Erro interno do servidor'
+            });
+        }
+    }
+
+    // Revogações ainda válidas, sincronizadas pelos outros serviços e pelo gateway
+    async listRevocations(req, res) {
+        try {
+            const now = new Date().toISOString();
+            const revocations = await this.revokedTokensDb.find({ expiresAt: { $gt: now } });
+
+            res.json({
+                success: true,
+                data: {
+                    tokens: revocations
+                        .filter(revocation => revocation.type === 'token')
+                        .map(({ jti, expiresAt }) => ({ jti, expiresAt })),
+                    users: revocations
+                        .filter(revocation => revocation.type === 'user')
+                        .map(({ userId, issuedBefore, expiresAt }) => ({ userId, issuedBefore, expiresAt }))
+                }
+            });
+        } catch (error) {
+            console.error('Erro ao listar revogações:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Erro interno do servidor'
+            });
+        }
+    }
+
     // Get user by ID
     async getUser(req, res) {
         try {
@@ -354,6 +741,49 @@ class UserService {
         }
     }
 
+    // Lookup user by email or username (chamada interna do list-service nos convites). Retorna só
+    // id e username: o email não sai do user-service
+    async lookupUser(req, res) {
+        try {
+            const { identifier } = req.query;
+
+            if (!identifier) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Identificador obrigatório'
+                });
+            }
+
+            const user = await this.usersDb.findOne({
+                $or: [
+                    { email: identifier.toLowerCase() },
+                    { username: identifier.toLowerCase() }
+                ]
+            });
+
+            if (!user || user.status !== 'active') {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Usuário não encontrado'
+                });
+            }
+
+            res.json({
+                success: true,
+                data: {
+                    id: user.id,
+                    username: user.username
+                }
+            });
+        } catch (error) {
+            console.error('Erro ao buscar usuário:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Erro interno do servidor'
+            });
+        }
+    }
+
     // Update user
     async updateUser(req, res) {
         try {
@@ -406,6 +836,13 @@ class UserService {
                 data: userWithoutPassword
             });
         } catch (error) {
+            if (error instanceof JsonDatabase.ValidationError) {
+                return res.status(400).json({
+                    success: false,
+                    message: error.message,
+                    errors: error.errors
+                });
+            }
             console.error('Erro ao atualizar usuário:', error);
             res.status(500).json({
                 success: false,
@@ -414,21 +851,652 @@ class UserService {
         }
     }
 
-    // Register with service registry
-    registerWithRegistry() {
-        serviceRegistry.register(this.serviceName, {
-            url: this.serviceUrl,
-            version: '1.0.0',
-            database: 'JSON-NoSQL',
-            endpoints: ['/health', '/auth/register', '/auth/login', '/users/:id']
+    // Brute-force protection: chaves `account:<id>`, `unknown:<identificador inexistente>` e `ip:<endereço>`
+    isLoginRecordExpired(record) {
+        if (record.lockedUntil) {
+            return Date.parse(record.lockedUntil) <= Date.now();
+        }
+        return Date.now() - Date.parse(record.lastFailureAt) > LOGIN_PROTECTION.windowMs;
+    }
+
+    // Bloqueio ativo (423), backoff em andamento (429) ou null se a tentativa é permitida
+    async getLoginBlock(key, scope) {
+        const record = await this.loginAttemptsDb.findOne({ key });
+        if (!record || this.isLoginRecordExpired(record)) return null;
+
+        if (record.lockedUntil) {
+            return { status: 423, until: Date.parse(record.lockedUntil) };
+        }
+
+        const { backoffAfter } = LOGIN_PROTECTION[scope];
+        if (record.failures >= backoffAfter) {
+            const delay = Math.min(
+                LOGIN_PROTECTION.backoffBaseMs * 2 ** (record.failures - backoffAfter),
+                LOGIN_PROTECTION.backoffMaxMs
+            );
+            const until = Date.parse(record.lastFailureAt) + delay;
+            if (until > Date.now()) {
+                return { status: 429, until };
+            }
+        }
+        return null;
+    }
+
+    // Registrar falha; retorna o bloqueio resultante (se a falha atingiu o limite de lockout)
+    async recordLoginFailure(key, scope) {
+        const { lockAfter } = LOGIN_PROTECTION[scope];
+        const now = new Date();
+        const nextState = failures => ({
+            failures,
+            lastFailureAt: now.toISOString(),
+            lockedUntil: lockAfter && failures >= lockAfter
+                ? new Date(now.getTime() + LOGIN_PROTECTION.lockDurationMs).toISOString()
+                : null
         });
+
+        let existing = await this.loginAttemptsDb.findOne({ key });
+        let record = null;
+        if (!existing) {
+            const unknownAccount = key.startsWith('unknown:');
+            if (unknownAccount && !await this.hasRoomForUnknownLoginRecord()) {
+                return null;
+            }
+            try {
+                record = await this.loginAttemptsDb.create({ id: uuidv4(), key, scope, unknownAccount, ...nextState(1) });
+            } catch (error) {
+                // `key` é único: uma falha concorrente já criou o registro, incrementar o dela
+                if (!(error instanceof JsonDatabase.DuplicateKeyError)) throw error;
+                existing = await this.loginAttemptsDb.findOne({ key });
+            }
+        }
+        if (existing) {
+            record = await this.loginAttemptsDb.update(existing.id, current =>
+                nextState(this.isLoginRecordExpired(current) ? 1 : current.failures + 1));
+        }
+
+        return record && record.lockedUntil ? { status: 423, until: Date.parse(record.lockedUntil) } : null;
     }
 
-    // Start health check reporting
-    startHealthReporting() {
-        setInterval(() => {
-            serviceRegistry.updateHealth(this.serviceName, true);
-        }, 30000);
+    // Identificadores inexistentes são ilimitados: ao atingir o limite, descartar os registros expirados.
+    // Se ainda estiver cheio, a falha não é registrada por identificador (o limite por IP continua valendo).
+    async hasRoomForUnknownLoginRecord() {
+        const { maxUnknownRecords } = LOGIN_PROTECTION;
+        if (await this.loginAttemptsDb.count({ unknownAccount: true }) < maxUnknownRecords) {
+            return true;
+        }
+        await this.pruneLoginAttempts();
+        return await this.loginAttemptsDb.count({ unknownAccount: true }) < maxUnknownRecords;
+    }
+
+    // Remover registros de tentativas já expirados (fora da janela ou com bloqueio vencido)
+    async pruneLoginAttempts() {
+        const now = new Date();
+        await this.loginAttemptsDb.deleteMany({
+            $or: [
+                { lockedUntil: { $lte: now.toISOString() } },
+                {
+                    lockedUntil: null,
+                    lastFailureAt: { $lt: new Date(now.getTime() - LOGIN_PROTECTION.windowMs).toISOString() }
+                }
+            ]
+        });
+    }
+
+    async clearLoginFailures(key) {
+        const record = await this.loginAttemptsDb.findOne({ key });
+        if (record) {
+            await this.loginAttemptsDb.delete(record.id);
+        }
+        return !!record;
+    }
+
+    sendLoginBlock(res, block) {
+        const retryAfter = Math.max(Math.ceil((block.until - Date.now()) / 1000), 1);
+        const retryAt = new Date(block.until).toISOString();
+        res.set('Retry-After', String(retryAfter));
+
+        if (block.status === 423) {
+            return res.status(423).json({
+                success: false,
+                code: 'ACCOUNT_LOCKED',
+                message: `Conta bloqueada temporariamente por excesso de tentativas. Tente novamente após ${retryAt}.`,
+                retryAfter,
+                retryAt
+            });
+        }
+        res.status(429).json({
+            success: false,
+            code: 'LOGIN_THROTTLED',
+            message: `Muitas tentativas de login. Tente novamente em ${retryAfter} segundo(s).`,
+            retryAfter,
+            retryAt
+        });
+    }
+
+    // Change password: exige a senha atual e encerra todas as sessões
+    async changePassword(req, res) {
+        try {
+            const { id } = req.params;
+            const { currentPassword, newPassword } = req.body;
+
+            if (req.user.id !== id) {
+                return res.status(403).json({
+                    success: false,
+                    message: 'Acesso negado'
+                });
+            }
+
+            if (!currentPassword || !newPassword) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Senha atual e nova senha obrigatórias'
+                });
+            }
+
+            const passwordError = this.validatePassword(newPassword);
+            if (passwordError) {
+                return res.status(400).json({
+                    success: false,
+                    message: passwordError
+                });
+            }
+
+            const user = await this.usersDb.findById(id);
+            if (!user) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Usuário não encontrado'
+                });
+            }
+
+            if (!await bcrypt.compare(currentPassword, user.password)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Senha atual incorreta'
+                });
+            }
+
+            await this.setPassword(user, newPassword);
+            await this.mailer.send({
+                to: user.email,
+                subject: 'Sua senha foi alterada',
+                text: `Olá, ${user.firstName}. A senha da sua conta foi alterada. Se não foi você, redefina a senha imediatamente.`
+            });
+
+            res.json({
+                success: true,
+                message: 'Senha alterada com sucesso. Faça login novamente.'
+            });
+        } catch (error) {
+            console.error('Erro ao alterar senha:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Erro interno do servidor'
+            });
+        }
+    }
+
+    // Forgot password: envia token de redefinição por email.
+    // Responde sempre da mesma forma para não revelar quais contas existem.
+    async forgotPassword(req, res) {
+        try {
+            const { identifier } = req.body;
+
+            if (!identifier) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Identificador obrigatório'
+                });
+            }
+
+            const user = await this.usersDb.findOne({
+                $or: [
+                    { email: identifier.toLowerCase() },
+                    { username: identifier.toLowerCase() }
+                ]
+            });
+
+            if (user && user.status === 'active') {
+                await this.sendPasswordResetEmail(user);
+            }
+
+            res.json({
+                success: true,
+                message: 'Se a conta existir, um email com instruções de redefinição foi enviado'
+            });
+        } catch (error) {
+            console.error('Erro ao solicitar redefinição de senha:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Erro interno do servidor'
+            });
+        }
+    }
+
+    // Reset password com token de uso único
+    async resetPassword(req, res) {
+        try {
+            const { token, newPassword } = req.body;
+
+            if (!token || !newPassword) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Token e nova senha obrigatórios'
+                });
+            }
+
+            const passwordError = this.validatePassword(newPassword);
+            if (passwordError) {
+                return res.status(400).json({
+                    success: false,
+                    message: passwordError
+                });
+            }
+
+            const reset = await this.passwordResetsDb.findOne({ tokenHash: this.hashToken(token) });
+            if (!reset || reset.usedAt || new Date(reset.expiresAt) < new Date()) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Token de redefinição inválido ou expirado'
+                });
+            }
+
+            const user = await this.usersDb.findById(reset.userId);
+            if (!user || user.status !== 'active') {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Token de redefinição inválido ou expirado'
+                });
+            }
+
+            // Marcar como usado antes de trocar a senha: um segundo uso concorrente recebe 409
+            await this.passwordResetsDb.update(reset.id, { usedAt: new Date().toISOString() }, {
+                expectedVersion: reset.version
+            });
+            await this.setPassword(user, newPassword);
+
+            res.json({
+                success: true,
+                message: 'Senha redefinida com sucesso. Faça login com a nova senha.'
+            });
+        } catch (error) {
+            if (error instanceof JsonDatabase.VersionConflictError) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Token de redefinição inválido ou expirado'
+                });
+            }
+            console.error('Erro ao redefinir senha:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Erro interno do servidor'
+            });
+        }
+    }
+
+    // Mensagem de erro se a senha não atende às regras, senão null
+    validatePassword(password) {
+        if (typeof password !== 'string') {
+            return 'Senha deve ser uma string';
+        }
+        if (password.length < PASSWORD_MIN_LENGTH) {
+            return `Senha deve ter pelo menos ${PASSWORD_MIN_LENGTH} caracteres`;
+        }
+        if (Buffer.byteLength(password) > PASSWORD_MAX_BYTES) {
+            return `Senha deve ter no máximo ${PASSWORD_MAX_BYTES} bytes`;
+        }
+        return null;
+    }
+
+    // Gravar nova senha, liberar login bloqueado por redefinição obrigatória e encerrar sessões
+    async setPassword(user, newPassword) {
+        await this.usersDb.update(user.id, {
+            password: await bcrypt.hash(newPassword, 12),
+            passwordResetRequired: false,
+            passwordChangedAt: new Date().toISOString(),
+            updatedAt: new Date().toISOString()
+        });
+        await this.revokeAllUserTokens(user.id, 'password-change');
+    }
+
+    // Gerar token de redefinição (invalida os anteriores) e enviar por email
+    async sendPasswordResetEmail(user) {
+        const pending = await this.passwordResetsDb.find({ userId: user.id, usedAt: null });
+        for (const reset of pending) {
+            await this.passwordResetsDb.delete(reset.id);
+        }
+
+        const token = crypto.randomBytes(32).toString('hex');
+        const expiresAt = new Date(Date.now() + PASSWORD_RESET_TTL * 1000);
+        await this.passwordResetsDb.create({
+            id: uuidv4(),
+            userId: user.id,
+            tokenHash: this.hashToken(token),
+            expiresAt: expiresAt.toISOString(),
+            usedAt: null
+        });
+
+        const resetUrl = `${process.env.APP_URL || 'http://localhost:3000'}/reset-password?token=${token}`;
+        await this.mailer.send({
+            to: user.email,
+            subject: 'Redefinição de senha',
+            text: [
+                `Olá, ${user.firstName}.`,
+                '',
+                `Para redefinir sua senha, acesse ${resetUrl}`,
+                `ou envie o token abaixo para POST /auth/reset até ${expiresAt.toISOString()}:`,
+                '',
+                token
+            ].join('\n')
+        });
+    }
+
+    // Admin middleware; usar após authMiddleware
+    requireAdmin(req, res, next) {
+        if (req.user.role !== 'admin') {
+            return res.status(403).json({
+                success: false,
+                message: 'Acesso restrito a administradores'
+            });
+        }
+        next();
+    }
+
+    // Chamadas internas (identidade de serviço assinada) ou administradores; usar após authMiddleware
+    requireServiceOrAdmin(req, res, next) {
+        if (req.user.role !== auth.SERVICE_ROLE && req.user.role !== 'admin') {
+            return res.status(403).json({
+                success: false,
+                message: 'Acesso restrito a serviços internos e administradores'
+            });
+        }
+        next();
+    }
+
+    // Registrar ação administrativa no audit log
+    async recordAudit(req, action, target, details = {}) {
+        await this.auditDb.create({
+            id: uuidv4(),
+            action,
+            actorId: req.user.id,
+            actorUsername: req.user.username,
+            targetId: target.id,
+            targetUsername: target.username,
+            details,
+            ip: req.ip,
+            createdAt: new Date().toISOString()
+        });
+    }
+
+    // List users (admin): busca por ?q= em email, username e nome; filtros role, status e
+    // createdAt[gte]=; paginação e ordenação conforme shared/pagination.js (?sort=username)
+    async listUsers(req, res) {
+        try {
+            const listQuery = pagination.parseListQuery(req.query, USER_LIST_QUERY);
+            const { q } = req.query;
+
+            const filter = {};
+            if (q) {
+                const pattern = q.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+                filter.$or = ['email', 'username', 'firstName', 'lastName'].map(field => ({
+                    [field]: { $regex: pattern, $options: 'i' }
+                }));
+            }
+
+            pagination.sendPage(req, res, await pagination.findPage(this.usersDb, filter, listQuery, {
+                projection: { password: 0 }
+            }));
+        } catch (error) {
+            if (error instanceof JsonDatabase.QueryError) {
+                return res.status(400).json({ success: false, message: error.message });
+            }
+            console.error('Erro ao listar usuários:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Erro interno do servidor'
+            });
+        }
+    }
+
+    // Change user role (admin)
+    async changeUserRole(req, res) {
+        try {
+            const { id } = req.params;
+            const { role } = req.body;
+
+            const user = await this.usersDb.findById(id);
+            if (!user) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Usuário não encontrado'
+                });
+            }
+
+            if (id === req.user.id && role !== 'admin') {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Administradores não podem remover o próprio papel de admin'
+                });
+            }
+
+            const updatedUser = await this.usersDb.update(id, {
+                role,
+                updatedAt: new Date().toISOString()
+            });
+            // O papel viaja no JWT: encerrar as sessões para que o novo papel valha imediatamente
+            if (role !== user.role) {
+                await this.revokeAllUserTokens(id, 'role-change');
+            }
+            await this.recordAudit(req, 'user.role-changed', user, { from: user.role, to: role });
+
+            const { password, ...userWithoutPassword } = updatedUser;
+            res.json({
+                success: true,
+                message: 'Papel atualizado com sucesso',
+                data: userWithoutPassword
+            });
+        } catch (error) {
+            if (error instanceof JsonDatabase.ValidationError) {
+                return res.status(400).json({
+                    success: false,
+                    message: error.message,
+                    errors: error.errors
+                });
+            }
+            console.error('Erro ao alterar papel:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Erro interno do servidor'
+            });
+        }
+    }
+
+    // Suspend, deactivate or reactivate account (admin)
+    async changeUserStatus(req, res) {
+        try {
+            const { id } = req.params;
+            const { status, reason } = req.body;
+
+            const user = await this.usersDb.findById(id);
+            if (!user) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Usuário não encontrado'
+                });
+            }
+
+            if (id === req.user.id && status !== 'active') {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Administradores não podem suspender a própria conta'
+                });
+            }
+
+            const updatedUser = await this.usersDb.update(id, {
+                status,
+                statusReason: status === 'active' ? null : (reason || null),
+                updatedAt: new Date().toISOString()
+            });
+            if (status !== 'active') {
+                await this.revokeAllUserTokens(id, `status-${status}`);
+            }
+            await this.recordAudit(req, 'user.status-changed', user, {
+                from: user.status,
+                to: status,
+                reason: reason || null
+            });
+
+            const { password, ...userWithoutPassword } = updatedUser;
+            res.json({
+                success: true,
+                message: 'Status atualizado com sucesso',
+                data: userWithoutPassword
+            });
+        } catch (error) {
+            if (error instanceof JsonDatabase.ValidationError) {
+                return res.status(400).json({
+                    success: false,
+                    message: error.message,
+                    errors: error.errors
+                });
+            }
+            console.error('Erro ao alterar status:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Erro interno do servidor'
+            });
+        }
+    }
+
+    // Force password reset (admin): bloqueia o login até a redefinição e encerra as sessões atuais
+    async forcePasswordReset(req, res) {
+        try {
+            const { id } = req.params;
+
+            const user = await this.usersDb.findById(id);
+            if (!user) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Usuário não encontrado'
+                });
+            }
+
+            await this.usersDb.update(id, {
+                passwordResetRequired: true,
+                updatedAt: new Date().toISOString()
+            });
+            await this.revokeAllUserTokens(id, 'password-reset');
+            await this.sendPasswordResetEmail(user);
+            await this.recordAudit(req, 'user.password-reset-forced', user);
+
+            res.json({
+                success: true,
+                message: 'Redefinição de senha exigida no próximo acesso; instruções enviadas por email'
+            });
+        } catch (error) {
+            console.error('Erro ao forçar redefinição de senha:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Erro interno do servidor'
+            });
+        }
+    }
+
+    // Unlock account (admin): zera as tentativas de login falhas da conta
+    async unlockUser(req, res) {
+        try {
+            const { id } = req.params;
+
+            const user = await this.usersDb.findById(id);
+            if (!user) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Usuário não encontrado'
+                });
+            }
+
+            const wasLocked = await this.clearLoginFailures(`account:${id}`);
+            await this.recordAudit(req, 'user.unlocked', user, { hadFailures: wasLocked });
+
+            res.json({
+                success: true,
+                message: wasLocked ? 'Conta desbloqueada' : 'Conta não possuía tentativas falhas registradas'
+            });
+        } catch (error) {
+            console.error('Erro ao desbloquear conta:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Erro interno do servidor'
+            });
+        }
+    }
+
+    // Audit log (admin): filtros action, actorId, targetId, from e to (datas ISO); paginação e
+    // ordenação conforme shared/pagination.js
+    async listAuditLog(req, res) {
+        try {
+            const listQuery = pagination.parseListQuery(req.query, AUDIT_LIST_QUERY);
+            const { from, to } = req.query;
+
+            const filter = {};
+            if (from || to) {
+                filter.createdAt = {};
+                if (from) filter.createdAt.$gte = from;
+                if (to) filter.createdAt.$lte = to;
+            }
+
+            pagination.sendPage(req, res, await pagination.findPage(this.auditDb, filter, listQuery));
+        } catch (error) {
+            if (error instanceof JsonDatabase.QueryError) {
+                return res.status(400).json({ success: false, message: error.message });
+            }
+            console.error('Erro ao consultar auditoria:', error);
+            res.status(500).json({
+                success: false,
+                message: 'Erro interno do servidor'
+            });
+        }
+    }
+
+    // Register with service registry
+    registerWithRegistry() {
+        this.instanceId = serviceRegistry.register(this.serviceName, {
+            url: this.serviceUrl,
+            version: '1.0.0',
+            database: 'JSON-NoSQL',
+            endpoints: ['/health', '/auth/register', '/auth/login', '/auth/refresh', '/auth/logout', '/auth/revocations', '/auth/forgot', '/auth/reset', '/users/lookup', '/users/:id', '/admin/users', '/admin/audit']
+        });
+    }
+
+    // Start health check reporting
+    startHealthReporting() {
+        serviceRegistry.startHeartbeat(this.instanceId, async () => (await this.checkHealth()).status === 'healthy');
+    }
+
+    // Estado real do serviço: saudável só se o banco de dados responde
+    async checkHealth() {
+        try {
+            await this.usersDb.ping();
+            const userCount = await this.usersDb.count();
+            return {
+                service: this.serviceName,
+                status: 'healthy',
+                timestamp: new Date().toISOString(),
+                uptime: process.uptime(),
+                version: '1.0.0',
+                database: {
+                    type: 'JSON-NoSQL',
+                    userCount: userCount
+                }
+            };
+        } catch (error) {
+            return {
+                service: this.serviceName,
+                status: 'unhealthy',
+                timestamp: new Date().toISOString(),
+                error: error.message
+            };
+        }
     }
 
     start() {
@@ -452,15 +1520,7 @@ if (require.main === module) {
     const userService = new UserService();
     userService.start();
 
-    // Graceful shutdown
-    process.on('SIGTERM', () => {
-        serviceRegistry.unregister('user-service');
-        process.exit(0);
-    });
-    process.on('SIGINT', () => {
-        serviceRegistry.unregister('user-service');
-        process.exit(0);
-    });
+    // SIGINT/SIGTERM: tratados por shared/serviceRegistry, que remove as instâncias do processo antes de sair
 }
 
 module.exports = UserService;
\ No newline at end of file
@@ -0,0 +1,175 @@
+// Circuit breaker com estados closed/open/half-open e taxa de falhas em janela deslizante.
+//
+// - closed: requisições passam; ao atingir `minimumRequests` na janela com taxa de falhas
+//   >= `failureRateThreshold`, abre.
+// - open: requisições são recusadas até `openTimeoutMs` depois da abertura; então vai para half-open.
+// - half-open: até `halfOpenMaxRequests` requisições de teste passam; se todas tiverem sucesso o
+//   circuito fecha, e qualquer falha o reabre.
+//
+// Só contam como falha erros sem resposta (timeout, conexão recusada) e respostas 5xx;
+// respostas 4xx indicam que o serviço está respondendo normalmente.
+
+const DEFAULT_OPTIONS = {
+    windowMs: 60000,
+    minimumRequests: 5,
+    failureRateThreshold: 0.5,
+    openTimeoutMs: 30000,
+    halfOpenMaxRequests: 3
+};
+
+class CircuitBreaker {
+    constructor(name, options = {}) {
+        this.name = name;
+        this.options = { ...DEFAULT_OPTIONS, ...options };
+        this.reset();
+    }
+
+    reset() {
+        this.state = 'closed';
+        this.outcomes = []; // { time, failure }
+        this.openedAt = null;
+        this.halfOpenInFlight = 0;
+        this.halfOpenSuccesses = 0;
+        this.lastTransitionAt = Date.now();
+    }
+
+    // Classificar um erro do axios: true se deve contar como falha do serviço
+    static isFailure(error) {
+        if (!error.response) return true;
+        return error.response.status >= 500;
+    }
+
+    transition(state) {
+        if (this.state === state) return;
+        console.warn(`Circuit breaker ${this.name}: ${this.state} -> ${state}`);
+        this.state = state;
+        this.lastTransitionAt = Date.now();
+        this.halfOpenInFlight = 0;
+        this.halfOpenSuccesses = 0;
+        if (state === 'open') {
+            this.openedAt = Date.now();
+        } else if (state === 'closed') {
+            this.openedAt = null;
+            this.outcomes = [];
+        }
+    }
+
+    pruneOutcomes() {
+        const since = Date.now() - this.options.windowMs;
+        while (this.outcomes.length > 0 && this.outcomes[0].time < since) {
+            this.outcomes.shift();
+        }
+    }
+
+    // Reservar uma requisição; false se o circuito não permite no momento.
+    // Toda reserva aceita deve terminar em recordSuccess(), recordFailure() ou release().
+    tryAcquire() {
+        if (this.state === 'open') {
+            if (Date.now() - this.openedAt < this.options.openTimeoutMs) {
+                return false;
+            }
+            this.transition('half-open');
+        }
+        if (this.state === 'half-open') {
+            if (this.halfOpenInFlight + this.halfOpenSuccesses >= this.options.halfOpenMaxRequests) {
+                return false;
+            }
+            this.halfOpenInFlight++;
+        }
+        return true;
+    }
+
+    // Devolver uma reserva sem resultado (ex.: cliente desistiu antes da resposta)
+    release() {
+        if (this.state === 'half-open') {
+            this.halfOpenInFlight = Math.max(this.halfOpenInFlight - 1, 0);
+        }
+    }
+
+    recordSuccess() {
+        if (this.state === 'half-open') {
+            this.halfOpenInFlight = Math.max(this.halfOpenInFlight - 1, 0);
+            this.halfOpenSuccesses++;
+            if (this.halfOpenSuccesses >= this.options.halfOpenMaxRequests) {
+                this.transition('closed');
+            }
+            return;
+        }
+        if (this.state === 'closed') {
+            this.outcomes.push({ time: Date.now(), failure: false });
+            this.pruneOutcomes();
+        }
+    }
+
+    recordFailure() {
+        if (this.state === 'half-open') {
+            this.transition('open');
+            return;
+        }
+        if (this.state !== 'closed') return;
+
+        this.outcomes.push({ time: Date.now(), failure: true });
+        this.pruneOutcomes();
+        const { requests, failureRate } = this.getStats();
+        if (requests >= this.options.minimumRequests && failureRate >= this.options.failureRateThreshold) {
+            this.transition('open');
+        }
+    }
+
+    getStats() {
+        this.pruneOutcomes();
+        const requests = this.outcomes.length;
+        const failures = this.outcomes.filter(outcome => outcome.failure).length;
+        return { requests, failures, failureRate: requests > 0 ? failures / requests : 0 };
+    }
+
+    // Momento a partir do qual o circuito aberto aceita requisições de teste
+    getRetryAt() {
+        return this.state === 'open' ? new Date(this.openedAt + this.options.openTimeoutMs).toISOString() : null;
+    }
+
+    toJSON() {
+        return {
+            name: this.name,
+            state: this.state,
+            ...this.getStats(),
+            openedAt: this.openedAt ? new Date(this.openedAt).toISOString() : null,
+            retryAt: this.getRetryAt(),
+            halfOpen: this.state === 'half-open'
+                ? { inFlight: this.halfOpenInFlight, successes: this.halfOpenSuccesses }
+                : null,
+            lastTransitionAt: new Date(this.lastTransitionAt).toISOString(),
+            options: this.options
+        };
+    }
+}
+
+// Um breaker por serviço, criado sob demanda com a configuração do serviço (ou a padrão)
+class CircuitBreakerRegistry {
+    constructor(config = {}) {
+        this.defaults = { ...DEFAULT_OPTIONS, ...(config.defaults || {}) };
+        this.services = config.services || {};
+        this.breakers = new Map();
+    }
+
+    get(name) {
+        if (!this.breakers.has(name)) {
+            this.breakers.set(name, new CircuitBreaker(name, { ...this.defaults, ...(this.services[name] || {}) }));
+        }
+        return this.breakers.get(name);
+    }
+
+    has(name) {
+        return this.breakers.has(name) || !!this.services[name];
+    }
+
+    list() {
+        Object.keys(this.services).forEach(name => this.get(name));
+        return Array.from(this.breakers.values()).map(breaker => breaker.toJSON());
+    }
+}
+
+CircuitBreaker.Registry = CircuitBreakerRegistry;
+CircuitBreaker.DEFAULT_OPTIONS = DEFAULT_OPTIONS;
+
+module.exports = CircuitBreaker;
@@ -0,0 +1,96 @@
+const fs = require('fs');
+const path = require('path');
+const InMemoryServiceRegistry = require('./InMemoryServiceRegistry');
+
+// Várias instâncias alteram o mesmo arquivo: alterações são feitas sob um lock de arquivo
+const LOCK_TIMEOUT_MS = 2000;
+const LOCK_RETRY_MS = 10;
+const lockWaitBuffer = new Int32Array(new SharedArrayBuffer(4));
+
+// Registry compartilhado por arquivo JSON: não precisa de nenhum processo extra, mas todas as
+// instâncias precisam rodar na mesma máquina (por isso o pid de cada instância pode ser verificado)
+class FileBasedServiceRegistry extends InMemoryServiceRegistry {
+    constructor(registryFile = path.join(__dirname, 'services-registry.json')) {
+        super({ checkPid: true });
+        this.registryFile = registryFile;
+        this.lockFile = `${this.registryFile}.lock`;
+        this.ensureRegistryFile();
+        console.log('File-based Service Registry inicializado:', this.registryFile);
+    }
+
+    ensureRegistryFile() {
+        if (!fs.existsSync(this.registryFile)) {
+            this.writeRegistry({});
+        }
+    }
+
+    // Entradas no formato antigo (uma instância por nome, com `url` direto) são convertidas
+    readRegistry() {
+        try {
+            const data = fs.readFileSync(this.registryFile, 'utf8');
+            const services = JSON.parse(data);
+            Object.entries(services).forEach(([name, entry]) => {
+                if (typeof entry.url === 'string') {
+                    const id = this.buildInstanceId(name, entry.url, entry.pid);
+                    services[name] = { [id]: { id, serviceName: name, ...entry } };
+                }
+            });
+            return services;
+        } catch (error) {
+            console.error('Erro ao ler registry file:', error.message);
+            return {};
+        }
+    }
+
+    // Escrita atômica (arquivo temporário + rename) para que leitores nunca vejam JSON parcial
+    writeRegistry(services) {
+        const tempFile = `${this.registryFile}.${process.pid}.tmp`;
+        try {
+            fs.writeFileSync(tempFile, JSON.stringify(services, null, 2));
+            fs.renameSync(tempFile, this.registryFile);
+        } catch (error) {
+            console.error('Erro ao escrever registry file:', error.message);
+        }
+    }
+
+    // Ler, alterar e gravar o registry com exclusão mútua entre processos.
+    // Um lock mais antigo que LOCK_TIMEOUT_MS é considerado abandonado (processo morreu segurando-o).
+    updateRegistry(mutate) {
+        const deadline = Date.now() + LOCK_TIMEOUT_MS;
+        for (;;) {
+            try {
+                fs.writeFileSync(this.lockFile, String(process.pid), { flag: 'wx' });
+                break;
+            } catch (error) {
+                if (error.code !== 'EEXIST') throw error;
+                if (Date.now() > deadline || this.isLockAbandoned()) {
+                    fs.rmSync(this.lockFile, { force: true });
+                    continue;
+                }
+                Atomics.wait(lockWaitBuffer, 0, 0, LOCK_RETRY_MS);
+            }
+        }
+
+        try {
+            const services = this.readRegistry();
+            const result = mutate(services);
+            if (result !== false) {
+                this.writeRegistry(services);
+                this.emit('change');
+            }
+            return result;
+        } finally {
+            fs.rmSync(this.lockFile, { force: true });
+        }
+    }
+
+    isLockAbandoned() {
+        try {
+            return Date.now() - fs.statSync(this.lockFile).mtimeMs > LOCK_TIMEOUT_MS;
+        } catch (error) {
+            return false;
+        }
+    }
+}
+
+module.exports = FileBasedServiceRegistry;
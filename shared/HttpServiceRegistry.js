@@ -0,0 +1,190 @@
+const axios = require('axios');
+const InMemoryServiceRegistry = require('./InMemoryServiceRegistry');
+
+const DEFAULT_REGISTRY_URL = 'http://localhost:3004';
+const REQUEST_TIMEOUT_MS = 3000;
+const WATCH_WAIT_MS = 30000;
+const WATCH_RETRY_MS = 2000;
+
+// Cliente do registry-server, com a mesma interface do registry em arquivo.
+// A cópia local do registry é mantida por long polling em /watch: discover(), getInstances() e
+// listServices() respondem sem fazer requisições; registro, renovação e remoção vão para o servidor.
+class HttpServiceRegistry extends InMemoryServiceRegistry {
+    constructor(options = {}) {
+        // As instâncias podem estar em outras máquinas: o pid não é verificado
+        super({ checkPid: false });
+        this.baseUrl = (options.url || DEFAULT_REGISTRY_URL).replace(/\/+$/, '');
+        this.token = options.token || null;
+        this.watchWaitMs = options.watchWaitMs || WATCH_WAIT_MS;
+        this.index = 0;
+        this.pendingRegistrations = new Map(); // instanceId -> Promise do registro em andamento
+        this.pendingRemovals = new Set();
+        this.startWatch();
+        console.log('HTTP Service Registry inicializado:', this.baseUrl);
+    }
+
+    async request(method, path, data, options = {}) {
+        const response = await axios({
+            method,
+            url: `${this.baseUrl}${path}`,
+            data,
+            timeout: options.timeout || REQUEST_TIMEOUT_MS,
+            headers: this.token ? { 'X-Registry-Token': this.token } : {}
+        });
+        return response.data.data;
+    }
+
+    instancePath(serviceName, instanceId) {
+        return `/services/${encodeURIComponent(serviceName)}/instances/${encodeURIComponent(instanceId)}`;
+    }
+
+    isNotFound(error) {
+        return !!error.response && error.response.status === 404;
+    }
+
+    startWatch() {
+        if (this.watching) return;
+        this.watching = true;
+        this.watchLoop();
+    }
+
+    stopWatch() {
+        this.watching = false;
+    }
+
+    async watchLoop() {
+        let failing = false;
+        while (this.watching) {
+            try {
+                const snapshot = await this.request('get', `/watch?index=${this.index}&wait=${this.watchWaitMs}`, undefined, {
+                    timeout: this.watchWaitMs + REQUEST_TIMEOUT_MS
+                });
+                if (failing) {
+                    console.log('Conexão com o registry restabelecida');
+                    failing = false;
+                }
+                this.services = snapshot.services;
+                this.index = snapshot.index;
+                this.emit('change');
+            } catch (error) {
+                if (!failing) {
+                    console.error(`Erro ao sincronizar com o registry (${this.baseUrl}):`, error.message);
+                    failing = true;
+                }
+                await new Promise(resolve => setTimeout(resolve, WATCH_RETRY_MS));
+            }
+        }
+    }
+
+    // O servidor remove as instâncias expiradas e publica a alteração; aqui não se compara o
+    // horário da lease com o relógio local, que pode divergir do relógio do servidor
+    isStale() {
+        return false;
+    }
+
+    // Retorna o id da instância imediatamente; o registro é enviado em segundo plano
+    register(serviceName, serviceInfo) {
+        const id = serviceInfo.instanceId || this.buildInstanceId(serviceName, serviceInfo.url, process.pid);
+        this.localInstances.set(id, { serviceName, serviceInfo: { ...serviceInfo, instanceId: id } });
+
+        const registration = this.request('post', `/services/${encodeURIComponent(serviceName)}/instances`, {
+            ...serviceInfo,
+            instanceId: id,
+            pid: process.pid
+        })
+            .then(() => console.log(`Serviço registrado: ${serviceName} [${id}] - ${serviceInfo.url} (registry: ${this.baseUrl})`))
+            .catch(error => console.error(`Erro ao registrar ${id} no registry:`, error.message))
+            .finally(() => this.pendingRegistrations.delete(id));
+        this.pendingRegistrations.set(id, registration);
+        return id;
+    }
+
+    async renew(serviceName, instanceId, status = {}) {
+        await this.pendingRegistrations.get(instanceId);
+        try {
+            await this.request('put', `${this.instancePath(serviceName, instanceId)}/lease`, { healthy: status.healthy !== false });
+            return true;
+        } catch (error) {
+            if (this.isNotFound(error)) return false;
+            throw error;
+        }
+    }
+
+    // Sem instanceId, remove as instâncias do serviço registradas por este processo.
+    // Aguarda também remoções já em andamento (ex.: cleanup disparado pelo SIGTERM).
+    async unregister(serviceName, instanceId) {
+        const ids = instanceId
+            ? [instanceId]
+            : Array.from(this.localInstances.entries())
+                .filter(([, local]) => local.serviceName === serviceName)
+                .map(([id]) => id);
+
+        const removals = ids.map(id => this.removeInstance(serviceName, id));
+        const results = await Promise.all([...removals, ...this.pendingRemovals]);
+        return results.slice(0, removals.length).some(Boolean);
+    }
+
+    removeInstance(serviceName, instanceId) {
+        this.localInstances.delete(instanceId);
+        const removal = this.request('delete', this.instancePath(serviceName, instanceId))
+            .then(() => {
+                console.log(`Serviço removido: ${serviceName} [${instanceId}]`);
+                return true;
+            })
+            .catch(error => {
+                if (!this.isNotFound(error)) {
+                    console.error(`Erro ao remover ${instanceId} do registry:`, error.message);
+                }
+                return false;
+            })
+            .finally(() => this.pendingRemovals.delete(removal));
+        this.pendingRemovals.add(removal);
+        return removal;
+    }
+
+    // Atualiza a cópia local na hora (para que discover() já evite a instância) e envia ao servidor
+    async updateHealth(serviceName, healthy, instanceId) {
+        const instances = this.services[serviceName] || {};
+        const ids = instanceId
+            ? [instanceId]
+            : Array.from(this.localInstances.entries())
+                .filter(([, local]) => local.serviceName === serviceName)
+                .map(([id]) => id);
+
+        const results = await Promise.all(ids.map(async id => {
+            if (instances[id]) {
+                instances[id].healthy = healthy;
+            }
+            try {
+                await this.request('put', `${this.instancePath(serviceName, id)}/health`, { healthy });
+                return true;
+            } catch (error) {
+                if (!this.isNotFound(error)) {
+                    console.error(`Erro ao atualizar health de ${id} no registry:`, error.message);
+                }
+                return false;
+            }
+        }));
+        return results.some(Boolean);
+    }
+
+    // A remoção de instâncias expiradas é feita pelo servidor
+    evictStale() {
+        return [];
+    }
+
+    async clear() {
+        await this.request('delete', '/services');
+        console.log('Registry limpo');
+    }
+
+    // Cleanup na saída do processo: remove do servidor as instâncias deste processo
+    cleanup() {
+        return Promise.all(Array.from(this.localInstances.entries())
+            .map(([id, local]) => this.removeInstance(local.serviceName, id)));
+    }
+}
+
+HttpServiceRegistry.DEFAULT_REGISTRY_URL = DEFAULT_REGISTRY_URL;
+
+module.exports = HttpServiceRegistry;
@@ -0,0 +1,422 @@
+const { EventEmitter } = require('events');
+
+// Estratégias de balanceamento aceitas por discover()
+const STRATEGIES = ['round-robin', 'least-connections', 'random'];
+
+// Cada instância mantém uma lease renovada pelo heartbeat; sem renovação dentro do TTL ela é removida
+const LEASE_TTL_MS = Number(process.env.REGISTRY_LEASE_TTL_MS) || 30000;
+const HEARTBEAT_INTERVAL_MS = Number(process.env.REGISTRY_HEARTBEAT_INTERVAL_MS) || 10000;
+
+// Registry mantido em memória: registro, leases, descoberta e balanceamento.
+// É a base dos backends em arquivo e via HTTP e o armazenamento do registry-server.
+// Emite 'change' sempre que o registry é alterado.
+class InMemoryServiceRegistry extends EventEmitter {
+    // options.checkPid: considerar encerradas as instâncias cujo pid não existe nesta máquina
+    // (só faz sentido quando todas as instâncias rodam na mesma máquina que o registry)
+    constructor(options = {}) {
+        super();
+        this.services = {};
+        this.checkPid = options.checkPid !== false;
+        // Estado local do processo usado no balanceamento
+        this.roundRobinCounters = new Map(); // serviceName -> próximo índice
+        this.activeConnections = new Map(); // instanceId -> conexões em andamento
+        this.localInstances = new Map(); // instanceId -> { serviceName, serviceInfo } registradas por este processo
+        this.defaultStrategy = STRATEGIES.includes(process.env.REGISTRY_LB_STRATEGY)
+            ? process.env.REGISTRY_LB_STRATEGY
+            : 'round-robin';
+    }
+
+    // Formato: { [serviceName]: { [instanceId]: instância } }
+    readRegistry() {
+        return this.services;
+    }
+
+    // Aplicar uma alteração ao registry; se mutate retornar false nada mudou
+    updateRegistry(mutate) {
+        const result = mutate(this.services);
+        if (result !== false) {
+            this.emit('change');
+        }
+        return result;
+    }
+
+    buildInstanceId(serviceName, url, pid) {
+        return `${serviceName}-${this.getPort(url) || 'default'}-${pid}`;
+    }
+
+    getPort(url) {
+        try {
+            return Number(new URL(url).port) || null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    // Registrar uma instância de um serviço; retorna o id da instância.
+    // serviceInfo.pid e serviceInfo.instanceId permitem registrar instâncias de outros processos.
+    register(serviceName, serviceInfo) {
+        const pid = serviceInfo.pid !== undefined ? serviceInfo.pid : process.pid;
+        const id = serviceInfo.instanceId || this.buildInstanceId(serviceName, serviceInfo.url, pid);
+        const leaseTtlMs = serviceInfo.leaseTtlMs || LEASE_TTL_MS;
+
+        const count = this.updateRegistry(services => {
+            services[serviceName] = services[serviceName] || {};
+            services[serviceName][id] = {
+                ...serviceInfo,
+                id,
+                serviceName,
+                port: this.getPort(serviceInfo.url),
+                registeredAt: Date.now(),
+                lastHealthCheck: Date.now(),
+                lastHeartbeat: Date.now(),
+                leaseTtlMs,
+                leaseExpiresAt: Date.now() + leaseTtlMs,
+                healthy: true,
+                pid
+            };
+            delete services[serviceName][id].instanceId;
+            return Object.keys(services[serviceName]).length;
+        });
+        if (pid === process.pid) {
+            this.localInstances.set(id, { serviceName, serviceInfo: { ...serviceInfo, instanceId: id } });
+        }
+
+        console.log(`Serviço registrado: ${serviceName} [${id}] - ${serviceInfo.url} (PID: ${pid})`);
+        console.log(`Instâncias de ${serviceName}: ${count}`);
+        return id;
+    }
+
+    // Renovar a lease de uma instância com o resultado do health check dela.
+    // Retorna false se a instância não está mais no registry (ex.: foi removida por lease expirada).
+    renew(serviceName, instanceId, status = {}) {
+        return this.updateRegistry(services => {
+            this.evictStaleInstances(services);
+            const instance = (services[serviceName] || {})[instanceId];
+            if (!instance) return false;
+
+            const now = Date.now();
+            instance.healthy = status.healthy !== false;
+            instance.lastHeartbeat = now;
+            instance.lastHealthCheck = now;
+            instance.leaseExpiresAt = now + (instance.leaseTtlMs || LEASE_TTL_MS);
+            return true;
+        });
+    }
+
+    // Heartbeat: a cada intervalo executa checkHealth() (true = saudável) e renova a lease.
+    // Se a instância foi removida, registra de novo com as mesmas informações.
+    startHeartbeat(instanceId, checkHealth, options = {}) {
+        const local = this.localInstances.get(instanceId);
+        if (!local) {
+            throw new Error(`Instância não registrada por este processo: ${instanceId}`);
+        }
+
+        const beat = async () => {
+            let healthy = false;
+            try {
+                healthy = await checkHealth();
+            } catch (error) {
+                console.error(`Health check de ${instanceId} falhou:`, error.message);
+            }
+            if (!this.localInstances.has(instanceId)) return;
+            try {
+                if (!await this.renew(local.serviceName, instanceId, { healthy })) {
+                    console.warn(`Lease de ${instanceId} não encontrada no registry; registrando novamente`);
+                    await this.register(local.serviceName, local.serviceInfo);
+                    await this.renew(local.serviceName, instanceId, { healthy });
+                }
+            } catch (error) {
+                console.error(`Erro ao renovar lease de ${instanceId}:`, error.message);
+            }
+        };
+
+        return setInterval(beat, options.intervalMs || HEARTBEAT_INTERVAL_MS);
+    }
+
+    // Instância sem lease válida ou cujo processo não existe mais
+    isStale(instance) {
+        const leaseExpiresAt = instance.leaseExpiresAt || (instance.lastHealthCheck || 0) + LEASE_TTL_MS;
+        return leaseExpiresAt <= Date.now() || (this.checkPid && !this.isProcessAlive(instance.pid));
+    }
+
+    isProcessAlive(pid) {
+        if (!pid) return true;
+        try {
+            process.kill(pid, 0);
+            return true;
+        } catch (error) {
+            return error.code === 'EPERM';
+        }
+    }
+
+    evictStaleInstances(services) {
+        const evicted = [];
+        Object.entries(services).forEach(([name, instances]) => {
+            Object.values(instances).forEach(instance => {
+                if (this.isStale(instance)) {
+                    delete instances[instance.id];
+                    evicted.push(instance.id);
+                }
+            });
+            if (Object.keys(instances).length === 0) {
+                delete services[name];
+            }
+        });
+        if (evicted.length > 0) {
+            console.warn(`Instâncias removidas do registry (lease expirada ou processo encerrado): ${evicted.join(', ')}`);
+        }
+        return evicted;
+    }
+
+    // Remover as instâncias expiradas; retorna os ids removidos
+    evictStale() {
+        return this.updateRegistry(services => {
+            const evicted = this.evictStaleInstances(services);
+            return evicted.length > 0 ? evicted : false;
+        }) || [];
+    }
+
+    // Instâncias registradas de um serviço (opcionalmente só as saudáveis); instâncias expiradas são ignoradas
+    getInstances(serviceName, options = {}) {
+        const services = this.readRegistry();
+        const instances = Object.values(services[serviceName] || {}).filter(instance => !this.isStale(instance));
+        return options.healthyOnly ? instances.filter(instance => instance.healthy) : instances;
+    }
+
+    // Descobrir uma instância saudável de um serviço.
+    // options.strategy: 'round-robin' (padrão), 'least-connections' ou 'random';
+    // options.exclude: ids de instâncias a ignorar (ex.: já falharam nesta requisição)
+    discover(serviceName, options = {}) {
+        const registered = this.getInstances(serviceName);
+        if (registered.length === 0) {
+            console.error(`Serviço não encontrado: ${serviceName}`);
+            throw new Error(`Serviço não encontrado: ${serviceName}`);
+        }
+
+        const exclude = options.exclude || [];
+        const candidates = registered
+            .filter(instance => instance.healthy && !exclude.includes(instance.id))
+            .sort((a, b) => a.id.localeCompare(b.id));
+        if (candidates.length === 0) {
+            console.error(`Serviço indisponível: ${serviceName}`);
+            throw new Error(`Serviço indisponível: ${serviceName}`);
+        }
+
+        const strategy = options.strategy || this.defaultStrategy;
+        const instance = this.selectInstance(serviceName, candidates, strategy);
+        return { ...instance, strategy };
+    }
+
+    selectInstance(serviceName, candidates, strategy) {
+        switch (strategy) {
+            case 'random':
+                return candidates[Math.floor(Math.random() * candidates.length)];
+            case 'least-connections':
+                return candidates.reduce((best, instance) =>
+                    this.getActiveConnections(instance.id) < this.getActiveConnections(best.id) ? instance : best
+                );
+            case 'round-robin': {
+                const next = this.roundRobinCounters.get(serviceName) || 0;
+                this.roundRobinCounters.set(serviceName, next + 1);
+                return candidates[next % candidates.length];
+            }
+            default:
+                throw new Error(`Estratégia de balanceamento desconhecida: ${strategy}`);
+        }
+    }
+
+    // Contagem de conexões em andamento, usada pela estratégia least-connections.
+    // Retorna uma função que encerra a conexão.
+    trackConnection(instanceId) {
+        this.activeConnections.set(instanceId, this.getActiveConnections(instanceId) + 1);
+        let released = false;
+        return () => {
+            if (released) return;
+            released = true;
+            const remaining = this.getActiveConnections(instanceId) - 1;
+            if (remaining > 0) {
+                this.activeConnections.set(instanceId, remaining);
+            } else {
+                this.activeConnections.delete(instanceId);
+            }
+        };
+    }
+
+    getActiveConnections(instanceId) {
+        return this.activeConnections.get(instanceId) || 0;
+    }
+
+    // Listar todos os serviços com suas instâncias
+    listServices() {
+        const services = this.readRegistry();
+        const serviceList = {};
+
+        Object.entries(services).forEach(([name, instances]) => {
+            const instanceList = Object.values(instances).map(instance => ({
+                id: instance.id,
+                url: instance.url,
+                port: instance.port,
+                healthy: instance.healthy,
+                stale: this.isStale(instance),
+                registeredAt: new Date(instance.registeredAt).toISOString(),
+                lastHeartbeat: instance.lastHeartbeat ? new Date(instance.lastHeartbeat).toISOString() : null,
+                leaseExpiresAt: instance.leaseExpiresAt ? new Date(instance.leaseExpiresAt).toISOString() : null,
+                uptime: Date.now() - instance.registeredAt,
+                pid: instance.pid,
+                activeConnections: this.getActiveConnections(instance.id)
+            }));
+            const healthyInstances = instanceList.filter(instance => instance.healthy && !instance.stale);
+            serviceList[name] = {
+                url: (healthyInstances[0] || instanceList[0] || {}).url,
+                healthy: healthyInstances.length > 0,
+                healthyInstances: healthyInstances.length,
+                instances: instanceList
+            };
+        });
+
+        return serviceList;
+    }
+
+    // Remover instância. Sem instanceId, remove as instâncias do serviço registradas por este processo.
+    unregister(serviceName, instanceId) {
+        const ids = this.updateRegistry(services => {
+            const instances = services[serviceName];
+            if (!instances) return false;
+
+            const matched = instanceId
+                ? [instanceId].filter(id => instances[id])
+                : Object.keys(instances).filter(id => instances[id].pid === process.pid);
+            if (matched.length === 0) return false;
+
+            matched.forEach(id => {
+                delete instances[id];
+                this.localInstances.delete(id);
+            });
+            if (Object.keys(instances).length === 0) {
+                delete services[serviceName];
+            }
+            return matched;
+        });
+        if (!ids) return false;
+
+        console.log(`Serviço removido: ${serviceName} [${ids.join(', ')}]`);
+        return true;
+    }
+
+    // Health check de uma instância. Sem instanceId, atualiza as instâncias deste processo.
+    // Retorna false se nenhuma instância foi encontrada.
+    updateHealth(serviceName, healthy, instanceId) {
+        const ids = this.updateRegistry(services => {
+            const instances = services[serviceName];
+            if (!instances) return false;
+
+            const targets = instanceId
+                ? [instances[instanceId]].filter(Boolean)
+                : Object.values(instances).filter(instance => instance.pid === process.pid);
+            if (targets.length === 0) return false;
+
+            targets.forEach(instance => {
+                instance.healthy = healthy;
+                instance.lastHealthCheck = Date.now();
+            });
+            return targets.map(instance => instance.id);
+        });
+        if (!ids) return false;
+
+        const status = healthy ? 'OK' : 'FAIL';
+        console.log(`Health check: ${serviceName} [${ids.join(', ')}] - ${status}`);
+        return true;
+    }
+
+    // Health check de todas as instâncias
+    async performHealthChecks() {
+        const axios = require('axios');
+        await this.evictStale();
+        const services = this.readRegistry();
+        const instances = Object.values(services).flatMap(serviceInstances => Object.values(serviceInstances));
+
+        console.log(`Executando health checks de ${instances.length} instâncias...`);
+
+        for (const instance of instances) {
+            try {
+                await axios.get(`${instance.url}/health`, {
+                    timeout: 5000,
+                    family: 4
+                });
+                await this.updateHealth(instance.serviceName, true, instance.id);
+            } catch (error) {
+                console.error(`Health check falhou para ${instance.id}:`, error.message);
+                await this.updateHealth(instance.serviceName, false, instance.id);
+            }
+        }
+    }
+
+    // Debug: listar serviços registrados
+    debugListServices() {
+        const services = this.readRegistry();
+        console.log('DEBUG - Serviços registrados:');
+        Object.entries(services).forEach(([name, instances]) => {
+            Object.values(instances).forEach(instance => {
+                console.log(`   ${name} [${instance.id}]: ${instance.url} (${instance.healthy ? 'healthy' : 'unhealthy'}) PID:${instance.pid}`);
+            });
+        });
+    }
+
+    // Verificar se um serviço existe
+    hasService(serviceName) {
+        return this.getInstances(serviceName).length > 0;
+    }
+
+    // Obter estatísticas (por instância)
+    getStats() {
+        const services = this.readRegistry();
+        const instances = Object.values(services).flatMap(serviceInstances => Object.values(serviceInstances));
+        const stale = instances.filter(instance => this.isStale(instance)).length;
+        const healthy = instances.filter(instance => instance.healthy && !this.isStale(instance)).length;
+
+        return {
+            services: Object.keys(services).length,
+            total: instances.length,
+            healthy,
+            unhealthy: instances.length - healthy - stale,
+            stale
+        };
+    }
+
+    // Limpar registry (útil para desenvolvimento)
+    clear() {
+        this.updateRegistry(services => {
+            Object.keys(services).forEach(name => delete services[name]);
+        });
+        console.log('Registry limpo');
+    }
+
+    // Cleanup na saída do processo
+    cleanup() {
+        // Remove instâncias deste PID ao sair
+        const currentPid = process.pid;
+
+        this.updateRegistry(services => {
+            let changed = false;
+            Object.entries(services).forEach(([name, instances]) => {
+                Object.values(instances).forEach(instance => {
+                    if (instance.pid === currentPid) {
+                        delete instances[instance.id];
+                        changed = true;
+                        console.log(`Removendo instância ${instance.id} do PID ${currentPid}`);
+                    }
+                });
+                if (Object.keys(instances).length === 0) {
+                    delete services[name];
+                }
+            });
+            return changed;
+        });
+    }
+}
+
+InMemoryServiceRegistry.STRATEGIES = STRATEGIES;
+InMemoryServiceRegistry.LEASE_TTL_MS = LEASE_TTL_MS;
+InMemoryServiceRegistry.HEARTBEAT_INTERVAL_MS = HEARTBEAT_INTERVAL_MS;
+
+module.exports = InMemoryServiceRegistry;
@@ -1,15 +1,99 @@
 const fs = require('fs-extra');
 const path = require('path');
 const { v4: uuidv4 } = require('uuid');
+const SchemaValidator = require('./SchemaValidator');
+const SearchIndex = require('./SearchIndex');
+
+const { ValidationError } = SchemaValidator;
+
+// Campos mantidos pelo próprio banco, sempre aceitos pelo schema da coleção
+const SYSTEM_FIELDS = ['id', 'version', 'createdAt', 'updatedAt'];
+
+// Operadores aceitos em condições de campo (ver matchesCondition)
+const FIELD_OPERATORS = [
+    '$eq', '$ne', '$gt', '$gte', '$lt', '$lte', '$in', '$nin',
+    '$exists', '$regex', '$options', '$size', '$elemMatch', '$not'
+];
+
+// $regex vindo de clientes (?filter=): tamanho máximo, flags aceitas e formato. Só são aceitos
+// textos literais ("contém"), opcionalmente com `^` no início ("começa com"), com os caracteres
+// especiais escapados (\. \( ...): sem grupos, alternativas nem quantificadores, a busca é linear
+// e não há padrão sujeito a backtracking exponencial (ReDoS)
+const MAX_CLIENT_REGEX_LENGTH = 100;
+const CLIENT_REGEX_OPTIONS = /^[imsu]*$/;
+const CLIENT_REGEX_LITERAL = /^\^?(?:[^\\^$.|?*+()[\]{}]|\\[\\^$.|?*+()[\]{}/])*$/;
+
+// Filas de escrita por arquivo de coleção, compartilhadas entre instâncias do mesmo processo
+const writeQueues = new Map();
+
+// Entre processos (vários serviços ou instâncias sobre o mesmo diretório), cada escrita roda sob
+// um lock de arquivo `<colecao>.json.lock` com `<pid>:<token>` do dono. O lock é abandonado quando o
+// processo dono não existe mais; sem pid legível, quando é mais antigo que LOCK_TIMEOUT_MS
+const LOCK_TIMEOUT_MS = 10000;
+const LOCK_RETRY_MS = 10;
+
+// Erro de concorrência otimista: o documento foi alterado desde a versão esperada
+class VersionConflictError extends Error {
+    constructor(id, expectedVersion, currentVersion) {
+        super(`Conflito de versão no documento ${id}: esperada ${expectedVersion}, atual ${currentVersion}`);
+        this.name = 'VersionConflictError';
+        this.code = 'VERSION_CONFLICT';
+        this.documentId = id;
+        this.expectedVersion = expectedVersion;
+        this.currentVersion = currentVersion;
+    }
+}
+
+// Filtro ou projeção inválidos (operador desconhecido, JSON malformado...)
+class QueryError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'QueryError';
+        this.code = 'INVALID_QUERY';
+    }
+}
+
+// create() com um id que já existe na coleção, ou create()/update() com o valor de um campo
+// único (options.unique) já usado por outro documento
+class DuplicateKeyError extends Error {
+    constructor(id, field = 'id', value = id) {
+        super(field === 'id' ? `Documento com id ${id} já existe` : `Valor duplicado em ${field}: ${value}`);
+        this.name = 'DuplicateKeyError';
+        this.code = 'DUPLICATE_KEY';
+        this.documentId = id;
+        this.field = field;
+        this.value = value;
+    }
+}
 
 class JsonDatabase {
-    constructor(dbPath, collectionName) {
+    constructor(dbPath, collectionName, options = {}) {
         this.dbPath = dbPath;
         this.collectionName = collectionName;
         this.filePath = path.join(dbPath, `${collectionName}.json`);
         this.indexPath = path.join(dbPath, `${collectionName}_index.json`);
+        this.journalPath = path.join(dbPath, `${collectionName}.journal`);
+        this.metaPath = path.join(dbPath, `${collectionName}_meta.json`);
+        this.lockPath = `${this.filePath}.lock`;
 
-        this.ensureDatabase();
+        // Compactar o journal automaticamente após este número de operações
+        this.compactThreshold = options.compactThreshold || 500;
+        this.journalEntries = 0;
+
+        // Cache em memória da coleção, invalidado quando o arquivo muda (mtime/tamanho)
+        // e índices secundários por campo, ex.: { indexes: ['email', 'username'] }
+        this.indexedFields = options.indexes || [];
+        this.cache = null;
+        // Campos de valor único na coleção, ex.: { unique: ['barcode'] } (null/ausente não conta)
+        this.uniqueFields = options.unique || [];
+        // Campos da busca textual com seus pesos, ex.: { textIndex: { name: 3, description: 1 } }
+        this.textIndexFields = options.textIndex || null;
+
+        // Schema validado em create/update e migrações versionadas aplicadas na inicialização
+        this.schema = options.schema || null;
+        this.migrations = options.migrations || [];
+
+        this.ready = this.ensureDatabase();
     }
 
     async ensureDatabase() {
@@ -19,13 +103,19 @@ class JsonDatabase {
 
             // Criar arquivo da coleção se não existir
             if (!await fs.pathExists(this.filePath)) {
-                await fs.writeJson(this.filePath, []);
+                await this.writeJsonAtomic(this.filePath, []);
             }
 
             // Criar índice se não existir
             if (!await fs.pathExists(this.indexPath)) {
-                await fs.writeJson(this.indexPath, {});
+                await this.writeJsonAtomic(this.indexPath, {});
             }
+
+            // Reaplicar operações do journal que não chegaram ao arquivo da coleção
+            await this.replayJournal();
+
+            // Atualizar documentos existentes para o formato atual
+            await this.runMigrations();
         } catch (error) {
             console.error('Erro ao inicializar banco:', error);
             throw error;
@@ -35,21 +125,34 @@ class JsonDatabase {
     // Criar documento
     async create(data) {
         try {
-            const documents = await this.readAll();
-            const document = {
-                id: data.id || uuidv4(),
-                ...data,
-                createdAt: data.createdAt || new Date().toISOString(),
-                updatedAt: new Date().toISOString()
-            };
+            return await this.runExclusive(async () => {
+                const cache = await this.loadCollection();
+                if (data.id && cache.byId.has(data.id)) {
+                    throw new DuplicateKeyError(data.id);
+                }
+                const documents = [...cache.documents];
+                const document = {
+                    id: data.id || uuidv4(),
+                    ...data,
+                    version: 1,
+                    createdAt: data.createdAt || new Date().toISOString(),
+                    updatedAt: new Date().toISOString()
+                };
+                this.validateDocument(document);
+                this.checkUnique(cache, document);
 
-            documents.push(document);
-            await this.writeAll(documents);
-            await this.updateIndex(document);
+                documents.push(document);
+                await this.appendJournal({ op: 'create', id: document.id, document });
+                await this.writeAll(documents);
+                await this.updateIndex(document);
+                await this.compactIfNeeded();
 
-            return document;
+                return this.clone(document);
+            });
         } catch (error) {
-            console.error('Erro ao criar documento:', error);
+            if (!this.isClientError(error)) {
+                console.error('Erro ao criar documento:', error);
+            }
             throw error;
         }
     }
@@ -57,8 +160,9 @@ class JsonDatabase {
     // Buscar por ID
     async findById(id) {
         try {
-            const documents = await this.readAll();
-            return documents.find(doc => doc.id === id) || null;
+            const { byId } = await this.loadCollection();
+            const document = byId.get(id);
+            return document ? this.clone(document) : null;
         } catch (error) {
             console.error('Erro ao buscar documento:', error);
             throw error;
@@ -66,20 +170,26 @@ class JsonDatabase {
     }
 
     // Buscar um documento com filtro
-    async findOne(filter) {
+    async findOne(filter, options = {}) {
         try {
-            const documents = await this.readAll();
-            return documents.find(doc => this.matchesFilter(doc, filter)) || null;
+            this.validateFilter(filter);
+            const cache = await this.loadCollection();
+            const document = this.getCandidates(cache, filter).find(doc => this.matchesFilter(doc, filter));
+            return document ? this.applyProjection(this.clone(document), options.projection) : null;
         } catch (error) {
+            if (error instanceof QueryError) throw error;
             console.error('Erro ao buscar documento:', error);
             throw error;
         }
     }
 
     // Buscar múltiplos documentos
+    // options: { sort: { campo: 1 | -1 }, skip, limit, projection: { campo: 1 } ou { campo: 0 } }
     async find(filter = {}, options = {}) {
         try {
-            let documents = await this.readAll();
+            this.validateFilter(filter);
+            const cache = await this.loadCollection();
+            let documents = this.getCandidates(cache, filter);
 
             // Aplicar filtro
             if (Object.keys(filter).length > 0) {
@@ -98,8 +208,9 @@ class JsonDatabase {
                 documents = documents.slice(skip, skip + limit);
             }
 
-            return documents;
+            return documents.map(doc => this.applyProjection(this.clone(doc), options.projection));
         } catch (error) {
+            if (error instanceof QueryError) throw error;
             console.error('Erro ao buscar documentos:', error);
             throw error;
         }
@@ -108,62 +219,203 @@ class JsonDatabase {
     // Contar documentos
     async count(filter = {}) {
         try {
-            const documents = await this.readAll();
+            this.validateFilter(filter);
+            const cache = await this.loadCollection();
             if (Object.keys(filter).length === 0) {
-                return documents.length;
+                return cache.documents.length;
             }
-            return documents.filter(doc => this.matchesFilter(doc, filter)).length;
+            return this.getCandidates(cache, filter).filter(doc => this.matchesFilter(doc, filter)).length;
         } catch (error) {
+            if (error instanceof QueryError) throw error;
             console.error('Erro ao contar documentos:', error);
             throw error;
         }
     }
 
     // Atualizar documento
-    async update(id, updates) {
+    // `updates` pode ser um objeto ou uma função que recebe uma cópia do documento atual e retorna
+    // as alterações; a função roda dentro da fila de escrita, evitando perder alterações concorrentes.
+    // Com `options.expectedVersion`, rejeita a escrita se o documento já estiver em outra versão.
+    async update(id, updates, options = {}) {
         try {
-            const documents = await this.readAll();
-            const index = documents.findIndex(doc => doc.id === id);
+            return await this.runExclusive(async () => {
+                const cache = await this.loadCollection();
+                const documents = [...cache.documents];
+                const index = documents.findIndex(doc => doc.id === id);
 
-            if (index === -1) {
-                return null;
-            }
+                if (index === -1) {
+                    return null;
+                }
 
-            documents[index] = {
-                ...documents[index],
-                ...updates,
-                id: documents[index].id, // Preservar ID
-                createdAt: documents[index].createdAt, // Preservar data de criação
-                updatedAt: new Date().toISOString()
-            };
+                const current = documents[index];
+                this.checkVersion(current, options.expectedVersion);
 
-            await this.writeAll(documents);
-            await this.updateIndex(documents[index]);
+                const changes = typeof updates === 'function'
+                    ? await updates(this.clone(current))
+                    : updates;
 
-            return documents[index];
+                documents[index] = {
+                    ...current,
+                    ...changes,
+                    id: current.id, // Preservar ID
+                    version: (current.version || 0) + 1,
+                    createdAt: current.createdAt, // Preservar data de criação
+                    updatedAt: new Date().toISOString()
+                };
+                this.validateDocument(documents[index]);
+                this.checkUnique(cache, documents[index], current);
+
+                await this.appendJournal({ op: 'update', id, document: documents[index] });
+                await this.writeAll(documents);
+                await this.updateIndex(documents[index]);
+                await this.compactIfNeeded();
+
+                return this.clone(documents[index]);
+            });
         } catch (error) {
-            console.error('Erro ao atualizar documento:', error);
+            if (!this.isClientError(error)) {
+                console.error('Erro ao atualizar documento:', error);
+            }
             throw error;
         }
     }
 
     // Deletar documento
-    async delete(id) {
+    async delete(id, options = {}) {
         try {
-            const documents = await this.readAll();
-            const index = documents.findIndex(doc => doc.id === id);
+            return await this.runExclusive(async () => {
+                const documents = [...(await this.loadCollection()).documents];
+                const index = documents.findIndex(doc => doc.id === id);
 
-            if (index === -1) {
-                return false;
+                if (index === -1) {
+                    return false;
+                }
+
+                this.checkVersion(documents[index], options.expectedVersion);
+
+                documents.splice(index, 1);
+                await this.appendJournal({ op: 'delete', id });
+                await this.writeAll(documents);
+                await this.removeFromIndex(id);
+                await this.compactIfNeeded();
+
+                return true;
+            });
+        } catch (error) {
+            if (!this.isClientError(error)) {
+                console.error('Erro ao deletar documento:', error);
             }
+            throw error;
+        }
+    }
 
-            documents.splice(index, 1);
-            await this.writeAll(documents);
-            await this.removeFromIndex(id);
+    // Deletar todos os documentos que atendem ao filtro, em uma única escrita; retorna quantos
+    async deleteMany(filter) {
+        try {
+            this.validateFilter(filter);
+            return await this.runExclusive(async () => {
+                const cache = await this.loadCollection();
+                const ids = new Set(this.getCandidates(cache, filter)
+                    .filter(doc => this.matchesFilter(doc, filter))
+                    .map(doc => doc.id));
 
-            return true;
+                if (ids.size === 0) {
+                    return 0;
+                }
+
+                await this.appendJournal({ op: 'deleteMany', ids: [...ids] });
+                await this.writeAll(cache.documents.filter(doc => !ids.has(doc.id)));
+                await this.removeFromIndex([...ids]);
+                await this.compactIfNeeded();
+
+                return ids.size;
+            });
         } catch (error) {
-            console.error('Erro ao deletar documento:', error);
+            if (!this.isClientError(error)) {
+                console.error('Erro ao deletar documentos:', error);
+            }
+            throw error;
+        }
+    }
+
+    // Várias criações e atualizações em uma única escrita (ex.: importação), tudo ou nada:
+    // [{ op: 'create', document }, { op: 'update', id, changes }]. Retorna os documentos gravados na ordem
+    // das operações (null para atualização de id inexistente). Um erro de validação ou de valor duplicado
+    // não grava nada e traz em `operationIndex` a posição da operação que falhou.
+    async bulkWrite(operations) {
+        try {
+            return await this.runExclusive(async () => {
+                const cache = await this.loadCollection();
+                const documents = [...cache.documents];
+                const positions = new Map(cache.positions);
+                const now = new Date().toISOString();
+                const written = [];
+
+                operations.forEach((operation, operationIndex) => {
+                    try {
+                        if (operation.op === 'create') {
+                            const data = operation.document;
+                            const id = data.id || uuidv4();
+                            if (positions.has(id)) throw new DuplicateKeyError(id);
+                            const document = { id, ...data, version: 1, createdAt: data.createdAt || now, updatedAt: now };
+                            this.validateDocument(document);
+                            positions.set(id, documents.push(document) - 1);
+                            written.push({ document, previous: {}, operationIndex });
+                        } else if (operation.op === 'update') {
+                            if (!positions.has(operation.id)) return;
+                            const position = positions.get(operation.id);
+                            const current = documents[position];
+                            const document = {
+                                ...current,
+                                ...operation.changes,
+                                id: current.id,
+                                version: (current.version || 0) + 1,
+                                createdAt: current.createdAt,
+                                updatedAt: now
+                            };
+                            this.validateDocument(document);
+                            documents[position] = document;
+                            written.push({ document, previous: current, operationIndex });
+                        } else {
+                            throw new QueryError(`Operação inválida em bulkWrite: ${operation.op}`);
+                        }
+                    } catch (error) {
+                        error.operationIndex = operationIndex;
+                        throw error;
+                    }
+                });
+
+                // Valores únicos conferidos com o resultado final, inclusive entre documentos do mesmo lote
+                const result = this.buildCache(documents, null);
+                written.forEach(({ document, previous, operationIndex }) => {
+                    try {
+                        this.checkUnique(result, document, previous);
+                    } catch (error) {
+                        error.operationIndex = operationIndex;
+                        throw error;
+                    }
+                });
+
+                const results = operations.map(() => null);
+                if (written.length === 0) return results;
+                await this.appendJournal(written.map(({ document, previous }) => ({
+                    op: previous.id ? 'update' : 'create',
+                    id: document.id,
+                    document
+                })));
+                await this.writeAll(documents);
+                await this.updateIndex(written.map(({ document }) => document));
+                await this.compactIfNeeded();
+
+                written.forEach(({ document, operationIndex }) => {
+                    results[operationIndex] = this.clone(document);
+                });
+                return results;
+            });
+        } catch (error) {
+            if (!this.isClientError(error)) {
+                console.error('Erro ao gravar lote de documentos:', error);
+            }
             throw error;
         }
     }
@@ -171,10 +423,10 @@ class JsonDatabase {
     // Busca de texto
     async search(query, fields = []) {
         try {
-            const documents = await this.readAll();
+            const { documents } = await this.loadCollection();
             const searchTerm = query.toLowerCase();
 
-            return documents.filter(doc => {
+            const results = documents.filter(doc => {
                 // Se campos específicos foram fornecidos, buscar apenas neles
                 if (fields.length > 0) {
                     return fields.some(field => {
@@ -186,14 +438,241 @@ class JsonDatabase {
                 // Buscar em todos os campos de string do documento
                 return this.searchInObject(doc, searchTerm);
             });
+            return results.map(doc => this.clone(doc));
         } catch (error) {
             console.error('Erro na busca:', error);
             throw error;
         }
     }
 
+    // Busca textual ranqueada (ver shared/SearchIndex.js), para coleções criadas com `textIndex`.
+    // options: { filter, skip, limit, prefix, fuzzy }; o filtro é aplicado antes da paginação.
+    // Retorna { total, results: [{ document, score, matchedTerms }] } do mais relevante ao menos.
+    async textSearch(query, options = {}) {
+        if (!this.textIndexFields) {
+            throw new QueryError(`Coleção ${this.collectionName} não tem índice textual`);
+        }
+        const filter = options.filter || {};
+        try {
+            this.validateFilter(filter);
+            const cache = await this.loadCollection();
+            // O índice acompanha o cache: é reconstruído na primeira busca após cada alteração
+            if (!cache.textIndex) {
+                cache.textIndex = new SearchIndex(this.textIndexFields);
+                cache.documents.forEach(doc => cache.textIndex.add(doc.id, doc));
+            }
+
+            const matches = cache.textIndex.search(query, options)
+                .map(match => ({ ...match, document: cache.byId.get(match.id) }))
+                .filter(match => this.matchesFilter(match.document, filter));
+            const skip = options.skip || 0;
+            const limit = options.limit || matches.length;
+            return {
+                total: matches.length,
+                results: matches.slice(skip, skip + limit).map(({ document, score, matchedTerms }) => ({
+                    document: this.clone(document),
+                    score,
+                    matchedTerms
+                }))
+            };
+        } catch (error) {
+            if (error instanceof QueryError) throw error;
+            console.error('Erro na busca textual:', error);
+            throw error;
+        }
+    }
+
+    // Pipeline de agregação: estágios $match, $unwind, $group, $sort, $skip, $limit e $project
+    // Ex.: aggregate([{ $unwind: '$items' }, { $group: { _id: '$items.itemId', total: { $sum: '$items.quantity' } } }])
+    async aggregate(pipeline = []) {
+        try {
+            if (!Array.isArray(pipeline)) {
+                throw new QueryError('Pipeline deve ser um array de estágios');
+            }
+            const cache = await this.loadCollection();
+            let documents = cache.documents;
+
+            pipeline.forEach((stage, position) => {
+                const stageNames = Object.keys(stage || {});
+                if (stageNames.length !== 1) {
+                    throw new QueryError('Cada estágio deve ter exatamente um operador');
+                }
+                const [name] = stageNames;
+                const spec = stage[name];
+
+                switch (name) {
+                    case '$match':
+                        this.validateFilter(spec);
+                        // No primeiro estágio os índices secundários podem ser usados
+                        documents = (position === 0 ? this.getCandidates(cache, spec) : documents)
+                            .filter(doc => this.matchesFilter(doc, spec));
+                        break;
+                    case '$unwind':
+                        documents = this.unwindStage(documents, spec);
+                        break;
+                    case '$group':
+                        documents = this.groupStage(documents, spec);
+                        break;
+                    case '$sort':
+                        documents = this.sortDocuments(documents.slice(), spec);
+                        break;
+                    case '$skip':
+                        documents = documents.slice(Number(spec));
+                        break;
+                    case '$limit':
+                        documents = documents.slice(0, Number(spec));
+                        break;
+                    case '$project':
+                        documents = documents.map(doc => this.projectStage(doc, spec));
+                        break;
+                    default:
+                        throw new QueryError(`Estágio de agregação desconhecido: ${name}`);
+                }
+            });
+
+            return documents.map(doc => this.clone(doc));
+        } catch (error) {
+            if (error instanceof QueryError) throw error;
+            console.error('Erro na agregação:', error);
+            throw error;
+        }
+    }
+
+    // Compactar: regravar coleção e índice a partir do estado atual e truncar o journal
+    async compact() {
+        return this.runExclusive(() => this.compactCollection());
+    }
+
+    async compactCollection() {
+        try {
+            const documents = await this.readCollectionFile();
+            await this.writeAll(documents);
+            await this.writeJsonAtomic(this.indexPath, this.buildIndex(documents));
+            await fs.writeFile(this.journalPath, '');
+            this.journalEntries = 0;
+        } catch (error) {
+            console.error('Erro ao compactar banco:', error);
+            throw error;
+        }
+    }
+
     // Métodos auxiliares
+    // Verificar se a coleção está acessível para leitura e escrita (health checks dos serviços)
+    async ping() {
+        await this.ready;
+        await fs.access(this.dbPath, fs.constants.R_OK | fs.constants.W_OK);
+        await fs.access(this.filePath, fs.constants.R_OK | fs.constants.W_OK);
+        return true;
+    }
+
     async readAll() {
+        const { documents } = await this.loadCollection();
+        return documents.map(doc => this.clone(doc));
+    }
+
+    // Coleção em memória; só relê o arquivo quando ele foi alterado (inclusive por outro processo)
+    async loadCollection() {
+        await this.ready;
+        const stamp = await this.getFileStamp();
+        if (!this.cache || this.cache.stamp !== stamp) {
+            this.cache = this.buildCache(await this.readCollectionFile(), stamp);
+        }
+        return this.cache;
+    }
+
+    async getFileStamp() {
+        try {
+            const stats = await fs.stat(this.filePath);
+            return `${stats.mtimeMs}:${stats.size}`;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    buildCache(documents, stamp) {
+        const byId = new Map();
+        const positions = new Map();
+        const indexes = {};
+        this.indexedFields.forEach(field => {
+            // `others`: documentos com valor não escalar (array/objeto) no campo, sempre candidatos
+            indexes[field] = { values: new Map(), others: [] };
+        });
+
+        documents.forEach((doc, position) => {
+            byId.set(doc.id, doc);
+            positions.set(doc.id, position);
+            this.indexedFields.forEach(field => {
+                const value = this.getNestedValue(doc, field);
+                if (value === undefined) return;
+                if (typeof value === 'object' && value !== null) {
+                    indexes[field].others.push(doc);
+                    return;
+                }
+                if (!indexes[field].values.has(value)) {
+                    indexes[field].values.set(value, []);
+                }
+                indexes[field].values.get(value).push(doc);
+            });
+        });
+
+        return { documents, byId, positions, indexes, stamp };
+    }
+
+    // Documentos que podem satisfazer o filtro: usa índices secundários quando o filtro tem
+    // igualdade ($eq ou $in) em campo indexado, inclusive dentro de $and/$or; caso contrário,
+    // retorna a coleção inteira. O resultado ainda passa por matchesFilter, então o índice só
+    // reduz o conjunto de candidatos.
+    getCandidates(cache, filter = {}) {
+        const matches = this.lookupIndex(cache, filter);
+        if (!matches) {
+            return cache.documents.slice();
+        }
+        return Array.from(new Set(matches)).sort((a, b) => cache.positions.get(a.id) - cache.positions.get(b.id));
+    }
+
+    lookupIndex(cache, filter) {
+        let best = null;
+        const consider = matches => {
+            if (matches && (!best || matches.length < best.length)) {
+                best = matches;
+            }
+        };
+
+        Object.entries(filter).forEach(([key, value]) => {
+            if (key === '$and') {
+                value.forEach(subFilter => consider(this.lookupIndex(cache, subFilter)));
+                return;
+            }
+            if (key === '$or') {
+                const branches = value.map(subFilter => this.lookupIndex(cache, subFilter));
+                if (branches.length > 0 && branches.every(Boolean)) consider(branches.flat());
+                return;
+            }
+
+            const index = cache.indexes[key];
+            if (!index) return;
+
+            let keys = null;
+            if (!this.isOperatorObject(value)) {
+                keys = [value];
+            } else if (Object.keys(value).length === 1 && '$eq' in value) {
+                keys = [value.$eq];
+            } else if (Object.keys(value).length === 1 && Array.isArray(value.$in)) {
+                keys = value.$in;
+            }
+            // null também casa com campo ausente, que não está no índice
+            if (!keys || keys.some(k => k === null || typeof k === 'object')) return;
+
+            consider([...keys.flatMap(k => index.values.get(k) || []), ...index.others]);
+        });
+        return best;
+    }
+
+    clone(document) {
+        return JSON.parse(JSON.stringify(document));
+    }
+
+    async readCollectionFile() {
         try {
             return await fs.readJson(this.filePath);
         } catch (error) {
@@ -202,70 +681,601 @@ class JsonDatabase {
     }
 
     async writeAll(documents) {
-        await fs.writeJson(this.filePath, documents, { spaces: 2 });
+        await this.writeJsonAtomic(this.filePath, documents);
+        this.cache = this.buildCache(documents, await this.getFileStamp());
     }
 
-    async updateIndex(document) {
+    // Escrita atômica: grava em arquivo temporário e renomeia sobre o original
+    async writeJsonAtomic(filePath, data) {
+        const tempPath = `${filePath}.${process.pid}.tmp`;
+        const fd = await fs.open(tempPath, 'w');
         try {
-            const index = await fs.readJson(this.indexPath);
-            index[document.id] = {
-                id: document.id,
-                updatedAt: document.updatedAt
+            await fs.write(fd, JSON.stringify(data, null, 2) + '\n');
+            await fs.fsync(fd);
+        } finally {
+            await fs.close(fd);
+        }
+        await fs.rename(tempPath, filePath);
+    }
+
+    // Journal append-only (uma operação JSON por linha), gravado antes da coleção.
+    // Aceita uma entrada ou um lote (bulkWrite), gravado com um único fsync.
+    async appendJournal(entries) {
+        const timestamp = new Date().toISOString();
+        const lines = [].concat(entries).map(entry => JSON.stringify({ ...entry, timestamp }) + '\n');
+        const fd = await fs.open(this.journalPath, 'a');
+        try {
+            await fs.write(fd, lines.join(''));
+            await fs.fsync(fd);
+        } finally {
+            await fs.close(fd);
+        }
+        this.journalEntries += lines.length;
+    }
+
+    async readJournal() {
+        if (!await fs.pathExists(this.journalPath)) {
+            return [];
+        }
+        const content = await fs.readFile(this.journalPath, 'utf8');
+        const entries = [];
+        for (const line of content.split('\n')) {
+            if (!line.trim()) continue;
+            try {
+                entries.push(JSON.parse(line));
+            } catch (error) {
+                // Linha incompleta de uma escrita interrompida: ignorar
+                console.warn(`Journal ${this.collectionName}: entrada inválida ignorada`);
+            }
+        }
+        return entries;
+    }
+
+    // Reaplicar o journal sobre a coleção e compactar (executado na inicialização)
+    async replayJournal() {
+        const entries = await this.readJournal();
+        if (entries.length > 0) {
+            const documents = await this.readCollectionFile();
+            const byId = new Map(documents.map(doc => [doc.id, doc]));
+
+            for (const entry of entries) {
+                if (entry.op === 'delete') {
+                    byId.delete(entry.id);
+                } else if (entry.op === 'deleteMany') {
+                    entry.ids.forEach(id => byId.delete(id));
+                } else if (entry.op === 'create' || entry.op === 'update') {
+                    // Entradas guardam o documento completo, então reaplicar é idempotente
+                    byId.set(entry.id, entry.document);
+                }
+            }
+
+            await this.writeAll(Array.from(byId.values()));
+            console.log(`Journal ${this.collectionName}: ${entries.length} operações reaplicadas`);
+        }
+        await this.compactCollection();
+    }
+
+    async compactIfNeeded() {
+        if (this.journalEntries >= this.compactThreshold) {
+            await this.compactCollection();
+        }
+    }
+
+    // Serializar escritas da coleção: cada tarefa só começa quando a anterior terminar, neste e nos
+    // demais processos. A tarefa recarrega a coleção já com o lock, vendo as escritas de outros processos.
+    runExclusive(task) {
+        const queue = writeQueues.get(this.filePath) || Promise.resolve();
+        const result = queue.then(() => this.withFileLock(task));
+        writeQueues.set(this.filePath, result.catch(() => {}));
+        return result;
+    }
+
+    async withFileLock(task) {
+        await this.ready;
+        const owner = `${process.pid}:${uuidv4()}`;
+        for (;;) {
+            try {
+                await fs.writeFile(this.lockPath, owner, { flag: 'wx' });
+                break;
+            } catch (error) {
+                if (error.code !== 'EEXIST') throw error;
+                const holder = await this.readLockOwner();
+                if (holder !== null && await this.isLockAbandoned(holder)) {
+                    // Outro processo pode ter removido o lock abandonado e criado o seu nesse meio-tempo
+                    await this.removeLockIfOwner(holder);
+                    continue;
+                }
+                await new Promise(resolve => setTimeout(resolve, LOCK_RETRY_MS));
+            }
+        }
+
+        try {
+            return await task();
+        } finally {
+            // Só remove o lock se ainda for nosso
+            await this.removeLockIfOwner(owner);
+        }
+    }
+
+    // Conteúdo do lock, ou null se ele não existe mais
+    async readLockOwner() {
+        try {
+            return await fs.readFile(this.lockPath, 'utf8');
+        } catch (error) {
+            if (error.code === 'ENOENT') return null;
+            throw error;
+        }
+    }
+
+    async removeLockIfOwner(owner) {
+        if (await this.readLockOwner() === owner) {
+            await fs.remove(this.lockPath);
+        }
+    }
+
+    async isLockAbandoned(holder) {
+        const pid = Number(holder.split(':')[0]);
+        if (Number.isInteger(pid) && pid > 0) {
+            return !this.isProcessAlive(pid);
+        }
+        // Lock vazio ou ilegível (escrita interrompida): só pela idade
+        try {
+            return Date.now() - (await fs.stat(this.lockPath)).mtimeMs > LOCK_TIMEOUT_MS;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    isProcessAlive(pid) {
+        try {
+            process.kill(pid, 0);
+            return true;
+        } catch (error) {
+            return error.code === 'EPERM';
+        }
+    }
+
+    validateDocument(document) {
+        if (this.schema) {
+            SchemaValidator.assertValid(this.schema, document, { allowFields: SYSTEM_FIELDS });
+        }
+    }
+
+    // Só verifica os campos alterados: duplicatas anteriores à opção `unique` não bloqueiam
+    // outras alterações do documento
+    checkUnique(cache, document, previous = {}) {
+        this.uniqueFields.forEach(field => {
+            const value = document[field];
+            if (value === undefined || value === null || value === previous[field]) return;
+            const duplicate = this.getCandidates(cache, { [field]: value })
+                .some(doc => doc.id !== document.id && doc[field] === value);
+            if (duplicate) {
+                throw new DuplicateKeyError(document.id, field, value);
+            }
+        });
+    }
+
+    // Erros causados pela requisição (não devem ser logados como falha do banco)
+    isClientError(error) {
+        return error instanceof VersionConflictError
+            || error instanceof QueryError
+            || error instanceof ValidationError
+            || error instanceof DuplicateKeyError;
+    }
+
+    // Migrações: [{ version: 1, description, up(document) => document }], em ordem crescente.
+    // A versão aplicada fica em <colecao>_meta.json. Como a coleção é gravada antes do meta,
+    // uma migração pode ser reaplicada após uma queda e por isso `up` deve ser idempotente.
+    async runMigrations() {
+        const meta = await this.readMeta();
+        const pending = this.migrations
+            .filter(migration => migration.version > meta.schemaVersion)
+            .sort((a, b) => a.version - b.version);
+        if (pending.length === 0) {
+            return;
+        }
+
+        let documents = await this.readCollectionFile();
+        for (const migration of pending) {
+            documents = await Promise.all(documents.map(doc => migration.up(this.clone(doc))));
+            meta.schemaVersion = migration.version;
+            meta.history.push({
+                version: migration.version,
+                description: migration.description || '',
+                appliedAt: new Date().toISOString()
+            });
+            console.log(`Migração ${this.collectionName} v${migration.version}: ${migration.description || ''}`);
+        }
+
+        await this.writeAll(documents);
+        await this.writeJsonAtomic(this.indexPath, this.buildIndex(documents));
+        await this.writeJsonAtomic(this.metaPath, meta);
+    }
+
+    async readMeta() {
+        try {
+            const meta = await fs.readJson(this.metaPath);
+            return { schemaVersion: meta.schemaVersion || 0, history: meta.history || [] };
+        } catch (error) {
+            return { schemaVersion: 0, history: [] };
+        }
+    }
+
+    checkVersion(document, expectedVersion) {
+        if (expectedVersion === undefined || expectedVersion === null) {
+            return;
+        }
+        const currentVersion = document.version || 0;
+        if (Number(expectedVersion) !== currentVersion) {
+            throw new VersionConflictError(document.id, Number(expectedVersion), currentVersion);
+        }
+    }
+
+    buildIndex(documents) {
+        const index = {};
+        documents.forEach(doc => {
+            index[doc.id] = {
+                id: doc.id,
+                updatedAt: doc.updatedAt
             };
-            await fs.writeJson(this.indexPath, index, { spaces: 2 });
+        });
+        return index;
+    }
+
+    async updateIndex(documents) {
+        try {
+            const index = await fs.readJson(this.indexPath);
+            [].concat(documents).forEach(document => {
+                index[document.id] = {
+                    id: document.id,
+                    updatedAt: document.updatedAt
+                };
+            });
+            await this.writeJsonAtomic(this.indexPath, index);
         } catch (error) {
             console.error('Erro ao atualizar índice:', error);
         }
     }
 
-    async removeFromIndex(id) {
+    async removeFromIndex(ids) {
         try {
             const index = await fs.readJson(this.indexPath);
-            delete index[id];
-            await fs.writeJson(this.indexPath, index, { spaces: 2 });
+            [].concat(ids).forEach(id => delete index[id]);
+            await this.writeJsonAtomic(this.indexPath, index);
         } catch (error) {
             console.error('Erro ao remover do índice:', error);
         }
     }
 
+    // Filtros no estilo MongoDB: operadores lógicos no topo ($and, $or, $nor, $not) e vários
+    // operadores por campo, todos combinados com AND, ex.: { averagePrice: { $gte: 5, $lte: 10 } }
     matchesFilter(document, filter) {
-        // Suporte ao operador $or
-        if (filter && typeof filter === 'object' && filter.$or && Array.isArray(filter.$or)) {
-            return filter.$or.some(subFilter => this.matchesFilter(document, subFilter));
+        return Object.entries(filter || {}).every(([key, value]) => {
+            switch (key) {
+                case '$and':
+                    return value.every(subFilter => this.matchesFilter(document, subFilter));
+                case '$or':
+                    return value.some(subFilter => this.matchesFilter(document, subFilter));
+                case '$nor':
+                    return !value.some(subFilter => this.matchesFilter(document, subFilter));
+                case '$not':
+                    return !this.matchesFilter(document, value);
+                default:
+                    return this.matchesCondition(this.getNestedValue(document, key), value);
+            }
+        });
+    }
+
+    matchesCondition(docValue, condition) {
+        if (!this.isOperatorObject(condition)) {
+            return this.valuesEqual(docValue, condition);
         }
+        return Object.entries(condition).every(([operator, operand]) => {
+            switch (operator) {
+                case '$eq':
+                    return this.valuesEqual(docValue, operand);
+                case '$ne':
+                    return !this.valuesEqual(docValue, operand);
+                case '$gt':
+                    return this.compareValues(docValue, operand, (a, b) => a > b);
+                case '$gte':
+                    return this.compareValues(docValue, operand, (a, b) => a >= b);
+                case '$lt':
+                    return this.compareValues(docValue, operand, (a, b) => a < b);
+                case '$lte':
+                    return this.compareValues(docValue, operand, (a, b) => a <= b);
+                case '$in':
+                    return operand.some(value => this.valuesEqual(docValue, value));
+                case '$nin':
+                    return !operand.some(value => this.valuesEqual(docValue, value));
+                case '$exists':
+                    return (docValue !== undefined) === Boolean(operand);
+                case '$regex': {
+                    const regex = new RegExp(operand, condition.$options || 'i');
+                    const values = Array.isArray(docValue) ? docValue : [docValue];
+                    return values.some(value => typeof value === 'string' && regex.test(value));
+                }
+                case '$options':
+                    // Usado junto com $regex
+                    return true;
+                case '$size':
+                    return Array.isArray(docValue) && docValue.length === operand;
+                case '$elemMatch':
+                    return Array.isArray(docValue) && docValue.some(element => (
+                        this.isOperatorObject(operand)
+                            ? this.matchesCondition(element, operand)
+                            : typeof element === 'object' && element !== null && this.matchesFilter(element, operand)
+                    ));
+                case '$not':
+                    return !this.matchesCondition(docValue, operand);
+                default:
+                    throw new QueryError(`Operador desconhecido: ${operator}`);
+            }
+        });
+    }
 
-        return Object.entries(filter).every(([key, value]) => {
-            if (key === '$or' && Array.isArray(value)) {
-                // Já tratado acima
-                return true;
+    // Validar estrutura do filtro antes de executar (operadores desconhecidos, tipos dos operandos)
+    validateFilter(filter) {
+        if (typeof filter !== 'object' || filter === null || Array.isArray(filter)) {
+            throw new QueryError('Filtro deve ser um objeto');
+        }
+        Object.entries(filter).forEach(([key, value]) => {
+            if (['$and', '$or', '$nor'].includes(key)) {
+                if (!Array.isArray(value)) throw new QueryError(`${key} requer um array de filtros`);
+                value.forEach(subFilter => this.validateFilter(subFilter));
+            } else if (key === '$not') {
+                this.validateFilter(value);
+            } else if (key.startsWith('$')) {
+                throw new QueryError(`Operador desconhecido: ${key}`);
+            } else {
+                this.validateCondition(value);
             }
-            const docValue = this.getNestedValue(document, key);
+        });
+    }
 
-            if (typeof value === 'object' && value !== null) {
-                // Operadores especiais
-                if (value.$regex) {
-                    const regex = new RegExp(value.$regex, value.$options || 'i');
-                    return regex.test(docValue);
-                }
-                if (value.$in) {
-                    return value.$in.includes(docValue);
-                }
-                if (value.$gt) {
-                    return docValue > value.$gt;
-                }
-                if (value.$lt) {
-                    return docValue < value.$lt;
-                }
-                if (value.$gte) {
-                    return docValue >= value.$gte;
+    validateCondition(condition) {
+        if (!this.isOperatorObject(condition)) {
+            if (typeof condition === 'object' && condition !== null && !Array.isArray(condition)
+                && Object.keys(condition).some(key => key.startsWith('$'))) {
+                throw new QueryError('Não é possível misturar operadores e campos na mesma condição');
+            }
+            return;
+        }
+        Object.entries(condition).forEach(([operator, operand]) => {
+            if (!FIELD_OPERATORS.includes(operator)) {
+                throw new QueryError(`Operador desconhecido: ${operator}`);
+            }
+            if (['$in', '$nin'].includes(operator) && !Array.isArray(operand)) {
+                throw new QueryError(`${operator} requer um array`);
+            }
+            if (operator === '$regex') {
+                try {
+                    new RegExp(operand, condition.$options || 'i');
+                } catch (error) {
+                    throw new QueryError(`Expressão regular inválida: ${operand}`);
                 }
-                if (value.$lte) {
-                    return docValue <= value.$lte;
+            }
+            if (operator === '$not') {
+                this.validateCondition(operand);
+            }
+            if (operator === '$elemMatch') {
+                if (this.isOperatorObject(operand)) this.validateCondition(operand);
+                else this.validateFilter(operand);
+            }
+        });
+    }
+
+    isOperatorObject(value) {
+        if (typeof value !== 'object' || value === null || Array.isArray(value)) return false;
+        const keys = Object.keys(value);
+        return keys.length > 0 && keys.every(key => key.startsWith('$'));
+    }
+
+    // Igualdade: null também casa com campo ausente; em campos array, casa se algum elemento for igual
+    valuesEqual(docValue, value) {
+        if (Array.isArray(docValue) && !Array.isArray(value)) {
+            return docValue.some(element => this.isEqual(element, value));
+        }
+        return this.isEqual(docValue, value);
+    }
+
+    isEqual(a, b) {
+        if (b === null) return a === null || a === undefined;
+        if (typeof a === 'object' && a !== null && typeof b === 'object') {
+            return JSON.stringify(a) === JSON.stringify(b);
+        }
+        return a === b;
+    }
+
+    // Comparações só entre valores do mesmo tipo (número com número, string com string)
+    compareValues(docValue, operand, compare) {
+        const values = Array.isArray(docValue) ? docValue : [docValue];
+        return values.some(value => (
+            value !== undefined && value !== null && typeof value === typeof operand && compare(value, operand)
+        ));
+    }
+
+    // Projeção: { name: 1, price: 1 } inclui só esses campos (e id); { password: 0 } exclui campos
+    applyProjection(document, projection) {
+        const entries = Object.entries(projection || {});
+        if (entries.length === 0) return document;
+
+        const inclusive = entries.some(([field, value]) => field !== 'id' && value);
+        if (inclusive) {
+            const result = {};
+            if (projection.id !== 0 && projection.id !== false) result.id = document.id;
+            entries.forEach(([field, value]) => {
+                if (!value) return;
+                const fieldValue = this.getNestedValue(document, field);
+                if (fieldValue !== undefined) this.setNestedValue(result, field, fieldValue);
+            });
+            return result;
+        }
+
+        const result = this.clone(document);
+        entries.forEach(([field]) => this.deleteNestedValue(result, field));
+        return result;
+    }
+
+    unwindStage(documents, spec) {
+        const options = typeof spec === 'string' ? { path: spec } : spec;
+        const field = String(options.path).replace(/^\$/, '');
+        const result = [];
+        documents.forEach(doc => {
+            const values = this.getNestedValue(doc, field);
+            if (Array.isArray(values) && values.length > 0) {
+                values.forEach(value => {
+                    const copy = this.clone(doc);
+                    this.setNestedValue(copy, field, value);
+                    result.push(copy);
+                });
+            } else if (options.preserveNullAndEmptyArrays) {
+                result.push(doc);
+            }
+        });
+        return result;
+    }
+
+    // Acumuladores: $sum, $avg, $min, $max, $count, $first, $push
+    groupStage(documents, spec) {
+        const { _id: idExpression, ...accumulators } = spec;
+        const groups = new Map();
+
+        documents.forEach(doc => {
+            const groupId = this.evaluateExpression(doc, idExpression === undefined ? null : idExpression);
+            const key = JSON.stringify(groupId === undefined ? null : groupId);
+            if (!groups.has(key)) {
+                groups.set(key, { _id: groupId === undefined ? null : groupId, docs: [] });
+            }
+            groups.get(key).docs.push(doc);
+        });
+
+        return Array.from(groups.values()).map(({ _id, docs }) => {
+            const result = { _id };
+            Object.entries(accumulators).forEach(([field, accumulator]) => {
+                const [operator] = Object.keys(accumulator || {});
+                const expression = accumulator[operator];
+                const values = docs.map(doc => this.evaluateExpression(doc, expression));
+                const numbers = values.filter(value => typeof value === 'number' && !Number.isNaN(value));
+
+                switch (operator) {
+                    case '$sum':
+                        result[field] = numbers.reduce((sum, value) => sum + value, 0);
+                        break;
+                    case '$avg':
+                        result[field] = numbers.length > 0
+                            ? numbers.reduce((sum, value) => sum + value, 0) / numbers.length
+                            : null;
+                        break;
+                    case '$min':
+                        result[field] = this.extremeValue(values, -1);
+                        break;
+                    case '$max':
+                        result[field] = this.extremeValue(values, 1);
+                        break;
+                    case '$count':
+                        result[field] = docs.length;
+                        break;
+                    case '$first':
+                        result[field] = values.length > 0 ? values[0] : null;
+                        break;
+                    case '$push':
+                        result[field] = values;
+                        break;
+                    default:
+                        throw new QueryError(`Acumulador desconhecido: ${operator}`);
                 }
+            });
+            return result;
+        });
+    }
+
+    extremeValue(values, direction) {
+        const defined = values.filter(value => value !== undefined && value !== null);
+        if (defined.length === 0) return null;
+        return defined.reduce((best, value) => ((direction > 0 ? value > best : value < best) ? value : best));
+    }
+
+    // $project: 1/true inclui o campo, 0/false exclui; strings '$campo' e expressões calculam novos campos
+    projectStage(document, spec) {
+        const entries = Object.entries(spec);
+        const exclusive = entries.every(([, value]) => value === 0 || value === false);
+        if (exclusive) {
+            return this.applyProjection(document, spec);
+        }
+
+        const result = {};
+        if (document.id !== undefined && spec.id !== 0 && spec.id !== false) result.id = document.id;
+        if (document._id !== undefined && spec._id !== 0 && spec._id !== false) result._id = document._id;
+        entries.forEach(([field, value]) => {
+            if (value === 0 || value === false) return;
+            const fieldValue = value === 1 || value === true
+                ? this.getNestedValue(document, field)
+                : this.evaluateExpression(document, value);
+            if (fieldValue !== undefined) this.setNestedValue(result, field, fieldValue);
+        });
+        return result;
+    }
+
+    // Expressões: '$campo', literais, objetos/arrays de expressões e $add, $subtract, $multiply, $divide, $ifNull, $size e $cond
+    evaluateExpression(document, expression) {
+        if (typeof expression === 'string' && expression.startsWith('$')) {
+            return this.getNestedValue(document, expression.slice(1));
+        }
+        if (Array.isArray(expression)) {
+            return expression.map(item => this.evaluateExpression(document, item));
+        }
+        if (typeof expression !== 'object' || expression === null) {
+            return expression;
+        }
+
+        const keys = Object.keys(expression);
+        if (keys.length === 1 && keys[0].startsWith('$')) {
+            const operator = keys[0];
+            const args = [].concat(expression[operator]).map(arg => this.evaluateExpression(document, arg));
+            const numbers = args.map(arg => Number(arg) || 0);
+            switch (operator) {
+                case '$add':
+                    return numbers.reduce((sum, value) => sum + value, 0);
+                case '$subtract':
+                    return numbers[0] - numbers[1];
+                case '$multiply':
+                    return numbers.reduce((product, value) => product * value, 1);
+                case '$divide':
+                    return numbers[1] === 0 ? null : numbers[0] / numbers[1];
+                case '$ifNull':
+                    return args[0] === undefined || args[0] === null ? args[1] : args[0];
+                case '$size':
+                    return Array.isArray(args[0]) ? args[0].length : 0;
+                case '$cond':
+                    return args[0] ? args[1] : args[2];
+                default:
+                    throw new QueryError(`Operador de expressão desconhecido: ${operator}`);
             }
+        }
 
-            return docValue === value;
+        const result = {};
+        Object.entries(expression).forEach(([field, value]) => {
+            result[field] = this.evaluateExpression(document, value);
         });
+        return result;
+    }
+
+    setNestedValue(obj, path, value) {
+        const keys = path.split('.');
+        const last = keys.pop();
+        const target = keys.reduce((current, key) => {
+            if (typeof current[key] !== 'object' || current[key] === null) current[key] = {};
+            return current[key];
+        }, obj);
+        target[last] = value;
+    }
+
+    deleteNestedValue(obj, path) {
+        const keys = path.split('.');
+        const last = keys.pop();
+        const target = keys.reduce((current, key) => (current && typeof current === 'object' ? current[key] : undefined), obj);
+        if (target && typeof target === 'object') delete target[last];
     }
 
     getNestedValue(obj, path) {
@@ -305,4 +1315,55 @@ class JsonDatabase {
     }
 }
 
+// Converter parâmetros de query string (`filter` em JSON, `fields` separados por vírgula)
+JsonDatabase.parseFilter = function parseFilter(raw) {
+    if (raw === undefined || raw === '') return {};
+    let filter;
+    try {
+        filter = typeof raw === 'string' ? JSON.parse(raw) : raw;
+    } catch (error) {
+        throw new QueryError('Parâmetro filter deve ser um JSON válido');
+    }
+    JsonDatabase.prototype.validateFilter(filter);
+    JsonDatabase.validateClientRegex(filter);
+    return filter;
+};
+
+// Recusa $regex de cliente longo demais, com flags inesperadas ou que não seja texto literal (ver CLIENT_REGEX_LITERAL)
+JsonDatabase.validateClientRegex = function validateClientRegex(value) {
+    if (Array.isArray(value)) {
+        value.forEach(validateClientRegex);
+        return;
+    }
+    if (typeof value !== 'object' || value === null) return;
+    if (value.$regex !== undefined) {
+        const pattern = value.$regex;
+        if (typeof pattern !== 'string' || pattern.length > MAX_CLIENT_REGEX_LENGTH) {
+            throw new QueryError(`$regex deve ser um texto de até ${MAX_CLIENT_REGEX_LENGTH} caracteres`);
+        }
+        if (!CLIENT_REGEX_LITERAL.test(pattern)) {
+            throw new QueryError('$regex aceita apenas texto literal, opcionalmente com ^ no início; escape os caracteres especiais com \\');
+        }
+        if (value.$options !== undefined && (typeof value.$options !== 'string' || !CLIENT_REGEX_OPTIONS.test(value.$options))) {
+            throw new QueryError('$options aceita apenas as flags i, m, s e u');
+        }
+    }
+    Object.values(value).forEach(validateClientRegex);
+};
+
+JsonDatabase.parseProjection = function parseProjection(fields) {
+    if (!fields) return undefined;
+    return String(fields).split(',').map(field => field.trim()).filter(Boolean)
+        .reduce((projection, field) => {
+            if (field.startsWith('-')) projection[field.slice(1)] = 0;
+            else projection[field] = 1;
+            return projection;
+        }, {});
+};
+
+JsonDatabase.VersionConflictError = VersionConflictError;
+JsonDatabase.QueryError = QueryError;
+JsonDatabase.DuplicateKeyError = DuplicateKeyError;
+JsonDatabase.ValidationError = ValidationError;
+
 module.exports = JsonDatabase;
\ No newline at end of file
@@ -0,0 +1,74 @@
+const fs = require('fs-extra');
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+
+// Envio de emails com transporte plugável. Um transporte é qualquer objeto com
+// `async send(message)`; o padrão grava cada mensagem em um diretório de outbox,
+// para testar sem servidor SMTP.
+
+// Grava cada mensagem como JSON em `<dir>/<data>-<id>.json`
+class OutboxTransport {
+    constructor(options = {}) {
+        this.dir = options.dir || path.join(process.cwd(), 'outbox');
+    }
+
+    async send(message) {
+        await fs.ensureDir(this.dir);
+        const fileName = `${message.date.replace(/[:.]/g, '-')}-${message.id}.json`;
+        await fs.writeJson(path.join(this.dir, fileName), message, { spaces: 2 });
+        return { transport: 'outbox', file: fileName };
+    }
+}
+
+// Apenas exibe a mensagem no console
+class ConsoleTransport {
+    async send(message) {
+        console.log(`[MAIL] Para: ${message.to} | Assunto: ${message.subject}\n${message.text}`);
+        return { transport: 'console' };
+    }
+}
+
+const transports = {
+    outbox: options => new OutboxTransport(options),
+    console: () => new ConsoleTransport()
+};
+
+class Mailer {
+    // options.transport: nome registrado ('outbox', 'console') ou instância com send();
+    // padrão MAIL_TRANSPORT ou 'outbox'. Demais opções são repassadas à fábrica do transporte.
+    constructor(options = {}) {
+        const transport = options.transport || process.env.MAIL_TRANSPORT || 'outbox';
+        if (typeof transport === 'string') {
+            if (!transports[transport]) {
+                throw new Error(`Transporte de email desconhecido: ${transport}`);
+            }
+            this.transport = transports[transport](options);
+        } else {
+            this.transport = transport;
+        }
+        this.from = options.from || process.env.MAIL_FROM || 'no-reply@shopping.local';
+    }
+
+    // Registrar um novo transporte (ex.: SMTP) selecionável por nome
+    static registerTransport(name, factory) {
+        transports[name] = factory;
+    }
+
+    async send({ to, subject, text }) {
+        const message = {
+            id: uuidv4(),
+            from: this.from,
+            to,
+            subject,
+            text,
+            date: new Date().toISOString()
+        };
+        const result = await this.transport.send(message);
+        return { id: message.id, ...result };
+    }
+}
+
+Mailer.OutboxTransport = OutboxTransport;
+Mailer.ConsoleTransport = ConsoleTransport;
+
+module.exports = Mailer;
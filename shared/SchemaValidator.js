@@ -0,0 +1,137 @@
+// Validação de documentos com um subconjunto de JSON Schema:
+// type, required, properties, additionalProperties, items, enum, minimum, maximum,
+// minLength, maxLength, minItems, maxItems, pattern e format ('email', 'date-time')
+
+const FORMATS = {
+    email: value => /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value),
+    'date-time': value => !Number.isNaN(Date.parse(value))
+};
+
+// Documento não respeita o schema da coleção; `errors` lista cada campo inválido
+class ValidationError extends Error {
+    constructor(errors) {
+        super(`Documento inválido: ${errors.map(error => `${error.field}: ${error.message}`).join('; ')}`);
+        this.name = 'ValidationError';
+        this.code = 'VALIDATION_ERROR';
+        this.errors = errors;
+    }
+}
+
+class SchemaValidator {
+    // Retorna a lista de erros ({ field, message }); vazia se o valor for válido.
+    // `options.allowFields`: campos de topo aceitos mesmo com additionalProperties: false
+    static validate(schema, value, options = {}) {
+        const errors = [];
+        SchemaValidator.validateValue(schema, value, '', errors, options.allowFields || []);
+        return errors;
+    }
+
+    static assertValid(schema, value, options = {}) {
+        const errors = SchemaValidator.validate(schema, value, options);
+        if (errors.length > 0) {
+            throw new ValidationError(errors);
+        }
+    }
+
+    static validateValue(schema, value, field, errors, allowFields) {
+        const label = field || 'documento';
+
+        if (schema.type && !SchemaValidator.matchesType(schema.type, value)) {
+            errors.push({ field: label, message: `deve ser do tipo ${[].concat(schema.type).join(' ou ')}` });
+            return;
+        }
+
+        if (schema.enum && !schema.enum.includes(value)) {
+            errors.push({ field: label, message: `deve ser um de: ${schema.enum.join(', ')}` });
+        }
+
+        if (typeof value === 'number') {
+            if (schema.minimum !== undefined && value < schema.minimum) {
+                errors.push({ field: label, message: `deve ser maior ou igual a ${schema.minimum}` });
+            }
+            if (schema.maximum !== undefined && value > schema.maximum) {
+                errors.push({ field: label, message: `deve ser menor ou igual a ${schema.maximum}` });
+            }
+        }
+
+        if (typeof value === 'string') {
+            if (schema.minLength !== undefined && value.length < schema.minLength) {
+                errors.push({ field: label, message: `deve ter ao menos ${schema.minLength} caracteres` });
+            }
+            if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+                errors.push({ field: label, message: `deve ter no máximo ${schema.maxLength} caracteres` });
+            }
+            if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+                errors.push({ field: label, message: `não corresponde ao padrão ${schema.pattern}` });
+            }
+            if (schema.format && FORMATS[schema.format] && !FORMATS[schema.format](value)) {
+                errors.push({ field: label, message: `formato ${schema.format} inválido` });
+            }
+        }
+
+        if (Array.isArray(value)) {
+            if (schema.minItems !== undefined && value.length < schema.minItems) {
+                errors.push({ field: label, message: `deve ter ao menos ${schema.minItems} itens` });
+            }
+            if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+                errors.push({ field: label, message: `deve ter no máximo ${schema.maxItems} itens` });
+            }
+            if (schema.items) {
+                value.forEach((item, index) => {
+                    SchemaValidator.validateValue(schema.items, item, `${label}[${index}]`, errors, []);
+                });
+            }
+        }
+
+        if (SchemaValidator.isPlainObject(value)) {
+            const prefix = field ? `${field}.` : '';
+            (schema.required || []).forEach(name => {
+                if (value[name] === undefined || value[name] === null || value[name] === '') {
+                    errors.push({ field: `${prefix}${name}`, message: 'obrigatório' });
+                }
+            });
+
+            const properties = schema.properties || {};
+            Object.entries(value).forEach(([name, propertyValue]) => {
+                if (properties[name]) {
+                    if (propertyValue !== undefined) {
+                        SchemaValidator.validateValue(properties[name], propertyValue, `${prefix}${name}`, errors, []);
+                    }
+                } else if (schema.additionalProperties === false && !allowFields.includes(name)) {
+                    errors.push({ field: `${prefix}${name}`, message: 'campo não permitido' });
+                }
+            });
+        }
+    }
+
+    static matchesType(type, value) {
+        return [].concat(type).some(expected => {
+            switch (expected) {
+                case 'string':
+                    return typeof value === 'string';
+                case 'number':
+                    return typeof value === 'number' && Number.isFinite(value);
+                case 'integer':
+                    return Number.isInteger(value);
+                case 'boolean':
+                    return typeof value === 'boolean';
+                case 'array':
+                    return Array.isArray(value);
+                case 'object':
+                    return SchemaValidator.isPlainObject(value);
+                case 'null':
+                    return value === null;
+                default:
+                    return false;
+            }
+        });
+    }
+
+    static isPlainObject(value) {
+        return typeof value === 'object' && value !== null && !Array.isArray(value);
+    }
+}
+
+SchemaValidator.ValidationError = ValidationError;
+
+module.exports = SchemaValidator;
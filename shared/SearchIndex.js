@@ -0,0 +1,179 @@
+// Índice invertido para busca textual: termo -> documentos em que aparece, com o peso do campo.
+// Textos são normalizados (minúsculas, sem acentos) e divididos em termos; palavras muito comuns
+// do português são ignoradas. Cada termo da consulta casa com termos do índice por igualdade,
+// por prefixo (autocomplete: "acu" encontra "açúcar") ou com erros de digitação (distância de
+// edição até 1 em termos de 4 a 7 letras, até 2 a partir de 8).
+
+const STOPWORDS = new Set(['a', 'o', 'as', 'os', 'de', 'da', 'do', 'das', 'dos', 'e', 'em', 'com', 'sem', 'para', 'por', 'um', 'uma']);
+
+// Peso de cada tipo de casamento na pontuação
+const MATCH_WEIGHTS = { exact: 1, prefix: 0.7, fuzzy: 0.4 };
+const MIN_PREFIX_LENGTH = 2;
+const MIN_FUZZY_LENGTH = 4;
+
+class SearchIndex {
+    // fields: { campo: peso }, ex.: { name: 3, brand: 2, description: 1 }. Campos com caminho
+    // ("items.itemName") percorrem arrays.
+    constructor(fields) {
+        this.fields = fields;
+        this.postings = new Map(); // termo -> Map(id -> peso acumulado dos campos)
+        this.documentTerms = new Map(); // id -> termos do documento (para remover)
+        this.sortedTerms = null; // vocabulário ordenado, recalculado após alterações
+    }
+
+    static normalize(text) {
+        return String(text).normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+    }
+
+    static tokenize(text) {
+        return SearchIndex.normalize(text)
+            .split(/[^a-z0-9]+/)
+            .filter(term => term && !STOPWORDS.has(term));
+    }
+
+    get size() {
+        return this.documentTerms.size;
+    }
+
+    add(id, document) {
+        this.remove(id);
+        const terms = new Map();
+        Object.entries(this.fields).forEach(([field, weight]) => {
+            this.getFieldValues(document, field).forEach(value => {
+                SearchIndex.tokenize(value).forEach(term => {
+                    terms.set(term, (terms.get(term) || 0) + weight);
+                });
+            });
+        });
+        terms.forEach((weight, term) => {
+            if (!this.postings.has(term)) this.postings.set(term, new Map());
+            this.postings.get(term).set(id, weight);
+        });
+        this.documentTerms.set(id, Array.from(terms.keys()));
+        this.sortedTerms = null;
+    }
+
+    remove(id) {
+        const terms = this.documentTerms.get(id);
+        if (!terms) return;
+        terms.forEach(term => {
+            const posting = this.postings.get(term);
+            posting.delete(id);
+            if (posting.size === 0) this.postings.delete(term);
+        });
+        this.documentTerms.delete(id);
+        this.sortedTerms = null;
+    }
+
+    // Pontuação por documento: para cada termo da consulta, o melhor casamento do documento
+    // (peso do casamento x peso dos campos x raridade do termo). Documentos que casam com mais
+    // termos da consulta ficam à frente. Retorna [{ id, score, matchedTerms }] em ordem decrescente.
+    search(query, options = {}) {
+        const queryTerms = Array.from(new Set(SearchIndex.tokenize(query)));
+        const prefix = options.prefix !== false;
+        const fuzzy = options.fuzzy !== false;
+        const scores = new Map(); // id -> { score, matched: Set(termos da consulta) }
+
+        queryTerms.forEach(queryTerm => {
+            const best = new Map(); // id -> melhor pontuação para este termo da consulta
+            this.expandTerm(queryTerm, { prefix, fuzzy }).forEach(({ term, weight }) => {
+                const posting = this.postings.get(term);
+                const idf = Math.log(1 + this.size / posting.size);
+                posting.forEach((fieldWeight, id) => {
+                    const score = weight * fieldWeight * idf;
+                    if (score > (best.get(id) || 0)) best.set(id, score);
+                });
+            });
+            best.forEach((score, id) => {
+                const entry = scores.get(id) || { score: 0, matched: new Set() };
+                entry.score += score;
+                entry.matched.add(queryTerm);
+                scores.set(id, entry);
+            });
+        });
+
+        return Array.from(scores.entries())
+            .map(([id, { score, matched }]) => ({
+                id,
+                // Fração dos termos da consulta encontrados no documento, ao quadrado
+                score: Math.round(score * (matched.size / queryTerms.length) ** 2 * 1000) / 1000,
+                matchedTerms: Array.from(matched)
+            }))
+            .sort((a, b) => b.matchedTerms.length - a.matchedTerms.length || b.score - a.score);
+    }
+
+    // Termos do índice que casam com o termo da consulta, com o peso do tipo de casamento
+    expandTerm(queryTerm, { prefix, fuzzy }) {
+        const matches = new Map();
+        const consider = (term, weight) => {
+            if (weight > (matches.get(term) || 0)) matches.set(term, weight);
+        };
+
+        if (this.postings.has(queryTerm)) consider(queryTerm, MATCH_WEIGHTS.exact);
+        if (prefix && queryTerm.length >= MIN_PREFIX_LENGTH) {
+            this.termsWithPrefix(queryTerm).forEach(term => consider(term, MATCH_WEIGHTS.prefix));
+        }
+        if (fuzzy && queryTerm.length >= MIN_FUZZY_LENGTH) {
+            const maxDistance = queryTerm.length >= 8 ? 2 : 1;
+            this.postings.forEach((posting, term) => {
+                if (Math.abs(term.length - queryTerm.length) > maxDistance) return;
+                const distance = SearchIndex.editDistance(queryTerm, term, maxDistance);
+                if (distance > 0 && distance <= maxDistance) consider(term, MATCH_WEIGHTS.fuzzy / distance);
+            });
+        }
+        return Array.from(matches.entries()).map(([term, weight]) => ({ term, weight }));
+    }
+
+    termsWithPrefix(prefix) {
+        if (!this.sortedTerms) this.sortedTerms = Array.from(this.postings.keys()).sort();
+        // Busca binária pelo primeiro termo >= prefixo
+        let low = 0;
+        let high = this.sortedTerms.length;
+        while (low < high) {
+            const middle = (low + high) >> 1;
+            if (this.sortedTerms[middle] < prefix) low = middle + 1;
+            else high = middle;
+        }
+        const terms = [];
+        for (let i = low; i < this.sortedTerms.length && this.sortedTerms[i].startsWith(prefix); i++) {
+            if (this.sortedTerms[i] !== prefix) terms.push(this.sortedTerms[i]);
+        }
+        return terms;
+    }
+
+    // Distância de Damerau-Levenshtein (inserção, remoção, troca e transposição de letras vizinhas).
+    // Para assim que a distância passa de `max`.
+    static editDistance(a, b, max = Infinity) {
+        let previousRow = null;
+        let row = Array.from({ length: b.length + 1 }, (value, index) => index);
+        for (let i = 1; i <= a.length; i++) {
+            const beforePrevious = previousRow;
+            previousRow = row;
+            row = [i];
+            let rowMin = i;
+            for (let j = 1; j <= b.length; j++) {
+                const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+                let value = Math.min(previousRow[j] + 1, row[j - 1] + 1, previousRow[j - 1] + cost);
+                if (beforePrevious && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                    value = Math.min(value, beforePrevious[j - 2] + 1);
+                }
+                row[j] = value;
+                rowMin = Math.min(rowMin, value);
+            }
+            if (rowMin > max) return rowMin;
+        }
+        return row[b.length];
+    }
+
+    getFieldValues(document, field) {
+        const values = field.split('.').reduce((current, key) => current
+            .flatMap(value => (Array.isArray(value) ? value : [value]))
+            .map(value => (value !== null && typeof value === 'object' ? value[key] : undefined))
+            .filter(value => value !== undefined && value !== null), [document]);
+        return values
+            .flatMap(value => (Array.isArray(value) ? value : [value]))
+            .filter(value => typeof value === 'string' || typeof value === 'number');
+    }
+}
+
+module.exports = SearchIndex;
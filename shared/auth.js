@@ -0,0 +1,224 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const tokenRevocation = require('./tokenRevocation');
+
+// Autenticação centralizada: o gateway verifica o JWT uma única vez e repassa aos serviços
+// a identidade do usuário no header X-User-Identity, assinado com HMAC. Os serviços confiam
+// nesse header; chamadas diretas com JWT só são aceitas quando AUTH_ALLOW_DIRECT permitir.
+
+const IDENTITY_HEADER = 'x-user-identity';
+const FORWARDED_SIGNATURE_HEADER = 'x-forwarded-signature';
+const DEFAULT_JWT_SECRET = 'user-service-secret-key-puc-minas';
+// Janela em que uma identidade assinada é aceita (segundos)
+const IDENTITY_MAX_AGE = Number(process.env.IDENTITY_MAX_AGE) || 60;
+const IDENTITY_FIELDS = ['id', 'email', 'username', 'role', 'jti', 'iat', 'iatMs', 'exp'];
+// Papel da identidade usada em chamadas entre serviços sem usuário (ex.: sincronizar revogações)
+const SERVICE_ROLE = 'service';
+
+// Falha de autenticação; `code` distingue token ausente, inválido, revogado ou identidade inválida
+class AuthError extends Error {
+    constructor(message, code, status = 401) {
+        super(message);
+        this.name = 'AuthError';
+        this.code = code;
+        this.status = status;
+    }
+}
+
+let warnedDefaultSecret = false;
+
+function getJwtSecret() {
+    if (process.env.JWT_SECRET) {
+        return process.env.JWT_SECRET;
+    }
+    if (process.env.NODE_ENV === 'production') {
+        throw new Error('JWT_SECRET deve ser definido em produção');
+    }
+    if (!warnedDefaultSecret) {
+        warnedDefaultSecret = true;
+        console.warn('JWT_SECRET não definido: usando o segredo padrão de desenvolvimento');
+    }
+    return DEFAULT_JWT_SECRET;
+}
+
+function getIdentitySecret() {
+    return process.env.IDENTITY_SECRET || getJwtSecret();
+}
+
+// Chamadas diretas aos serviços (sem passar pelo gateway): liberadas por padrão fora de produção
+function allowDirectAuth() {
+    if (process.env.AUTH_ALLOW_DIRECT !== undefined) {
+        return process.env.AUTH_ALLOW_DIRECT === 'true';
+    }
+    return process.env.NODE_ENV !== 'production';
+}
+
+function signature(encodedPayload) {
+    return crypto.createHmac('sha256', getIdentitySecret()).update(encodedPayload).digest('base64url');
+}
+
+// Verificar JWT e lista de revocação; retorna o payload decodificado
+function verifyToken(token) {
+    let decoded;
+    try {
+        decoded = jwt.verify(token, getJwtSecret());
+    } catch (error) {
+        throw new AuthError('Token inválido', 'TOKEN_INVALID');
+    }
+    if (tokenRevocation.isStale()) {
+        throw new AuthError('Lista de tokens revogados indisponível; tente novamente', 'REVOCATION_STALE', 503);
+    }
+    if (tokenRevocation.isRevoked(decoded)) {
+        throw new AuthError('Token revogado', 'TOKEN_REVOKED');
+    }
+    return decoded;
+}
+
+function signIdentity(user) {
+    const payload = { signedAt: Math.floor(Date.now() / 1000) };
+    IDENTITY_FIELDS.forEach(field => {
+        if (user[field] !== undefined) payload[field] = user[field];
+    });
+    const encodedPayload = Buffer.from(JSON.stringify(payload)).toString('base64url');
+    return `${encodedPayload}.${signature(encodedPayload)}`;
+}
+
+function serviceIdentityHeaders() {
+    return { 'X-User-Identity': signIdentity({ id: 'internal-service', role: SERVICE_ROLE }) };
+}
+
+function verifyIdentity(value) {
+    const [encodedPayload, receivedSignature] = String(value).split('.');
+    if (!encodedPayload || !receivedSignature) {
+        throw new AuthError('Identidade inválida', 'IDENTITY_INVALID');
+    }
+
+    const expected = Buffer.from(signature(encodedPayload));
+    const received = Buffer.from(receivedSignature);
+    if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+        throw new AuthError('Identidade inválida', 'IDENTITY_INVALID');
+    }
+
+    const { signedAt, ...user } = JSON.parse(Buffer.from(encodedPayload, 'base64url').toString());
+    const now = Math.floor(Date.now() / 1000);
+    if (Math.abs(now - signedAt) > IDENTITY_MAX_AGE || (user.exp && user.exp < now)) {
+        throw new AuthError('Identidade expirada', 'IDENTITY_EXPIRED');
+    }
+    return user;
+}
+
+// Headers X-Forwarded-* com a URL pública da requisição (links de paginação), enviados pelo gateway
+// e assinados como a identidade: os serviços só confiam neles com a assinatura válida
+function signForwardedHeaders({ proto, host, prefix }) {
+    return {
+        'x-forwarded-proto': proto,
+        'x-forwarded-host': host,
+        'x-forwarded-prefix': prefix,
+        [FORWARDED_SIGNATURE_HEADER]: signature([proto, host, prefix].join('\n'))
+    };
+}
+
+// { proto, host, prefix } enviados pelo gateway, ou null se ausentes ou sem assinatura válida
+function verifiedForwardedHeaders(req) {
+    const receivedSignature = req.header(FORWARDED_SIGNATURE_HEADER);
+    if (!receivedSignature) return null;
+
+    const forwarded = {
+        proto: req.header('x-forwarded-proto') || '',
+        host: req.header('x-forwarded-host') || '',
+        prefix: req.header('x-forwarded-prefix') || ''
+    };
+    const expected = Buffer.from(signature([forwarded.proto, forwarded.host, forwarded.prefix].join('\n')));
+    const received = Buffer.from(receivedSignature);
+    if (expected.length !== received.length || !crypto.timingSafeEqual(expected, received)) {
+        return null;
+    }
+    return forwarded;
+}
+
+// Valor de TRUST_PROXY para app.set('trust proxy'): o Express trata string como lista de endereços,
+// então "true"/"false" e números (quantidade de proxies à frente) são convertidos antes
+function trustProxySetting(value, defaultValue) {
+    const setting = String(value === undefined ? '' : value).trim();
+    if (setting === '') return defaultValue;
+    if (setting === 'true') return true;
+    if (setting === 'false') return false;
+    if (/^\d+$/.test(setting)) return Number(setting);
+    return setting;
+}
+
+function bearerToken(req) {
+    const authHeader = req.header('Authorization');
+    return authHeader?.startsWith('Bearer ') ? authHeader.replace('Bearer ', '') : null;
+}
+
+// URL sem o parâmetro `token`: o JWT aceito em ?token= (EventSource) não deve aparecer nos logs
+// de acesso nem ser repassado a outros serviços
+function stripQueryToken(url) {
+    const index = url.indexOf('?');
+    if (index === -1) return url;
+    const params = new URLSearchParams(url.slice(index + 1));
+    if (!params.has('token')) return url;
+    params.delete('token');
+    const query = params.toString();
+    return url.slice(0, index) + (query ? `?${query}` : '');
+}
+
+// Resolver o usuário da requisição: identidade do gateway ou, se permitido, JWT direto
+function authenticateRequest(req) {
+    const identity = req.header(IDENTITY_HEADER);
+    if (identity) {
+        return verifyIdentity(identity);
+    }
+
+    const token = bearerToken(req);
+    if (!allowDirectAuth()) {
+        throw new AuthError('Acesso permitido apenas via API Gateway', 'DIRECT_AUTH_DISABLED');
+    }
+    if (!token) {
+        throw new AuthError('Token obrigatório', 'TOKEN_MISSING');
+    }
+    return verifyToken(token);
+}
+
+// Middleware dos serviços
+function authMiddleware(req, res, next) {
+    try {
+        req.user = authenticateRequest(req);
+        next();
+    } catch (error) {
+        if (!(error instanceof AuthError)) {
+            console.error('Erro de autenticação:', error);
+        }
+        const status = error instanceof AuthError ? error.status : 401;
+        res.status(status).json({ success: false, message: error instanceof AuthError ? error.message : 'Token inválido' });
+    }
+}
+
+// Headers para chamadas entre serviços em nome do usuário autenticado
+function forwardAuthHeaders(req) {
+    const headers = {};
+    if (req.user) headers['X-User-Identity'] = signIdentity(req.user);
+    if (req.header('Authorization')) headers.Authorization = req.header('Authorization');
+    return headers;
+}
+
+module.exports = {
+    IDENTITY_HEADER,
+    SERVICE_ROLE,
+    AuthError,
+    getJwtSecret,
+    allowDirectAuth,
+    verifyToken,
+    signIdentity,
+    serviceIdentityHeaders,
+    verifyIdentity,
+    signForwardedHeaders,
+    verifiedForwardedHeaders,
+    trustProxySetting,
+    bearerToken,
+    stripQueryToken,
+    authenticateRequest,
+    authMiddleware,
+    forwardAuthHeaders
+};
@@ -0,0 +1,95 @@
+// Leitura e escrita de CSV (RFC 4180): campos entre aspas podem conter separador, aspas ("")
+// e quebras de linha. O separador é detectado pela linha de cabeçalho: `;` (padrão do Excel em
+// português) quando ela não tem vírgulas, `,` nos demais casos.
+
+// Planilhas interpretam como fórmula o texto que começa com = + - @ (ou tab/CR): na escrita esses
+// campos recebem o prefixo `'`, removido de volta na leitura (exportar e reimportar preserva o valor)
+const FORMULA_START = /^[=+\-@\t\r]/;
+const ESCAPED_FORMULA = /^'[=+\-@\t\r]/;
+
+class CsvError extends Error {
+    constructor(message, line) {
+        super(`${message} (linha ${line})`);
+        this.name = 'CsvError';
+        this.code = 'INVALID_CSV';
+        this.line = line;
+    }
+}
+
+function detectDelimiter(text) {
+    const header = text.slice(0, text.search(/\r?\n|$/));
+    return header.includes(';') && !header.includes(',') ? ';' : ',';
+}
+
+// Retorna as linhas como arrays de texto, cada uma com `line`: a linha do arquivo em que começa.
+// Linhas em branco são ignoradas.
+function parse(text, options = {}) {
+    const source = String(text).replace(/^\uFEFF/, '');
+    const delimiter = options.delimiter || detectDelimiter(source);
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+    let line = 1;
+    let rowLine = 1;
+
+    const endField = () => {
+        row.push(ESCAPED_FORMULA.test(field) ? field.slice(1) : field);
+        field = '';
+    };
+
+    const endRow = () => {
+        endField();
+        if (row.length > 1 || row[0] !== '') {
+            row.line = rowLine;
+            rows.push(row);
+        }
+        row = [];
+    };
+
+    for (let i = 0; i < source.length; i++) {
+        const char = source[i];
+        if (quoted) {
+            if (char === '"' && source[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                if (char === '\n') line++;
+                field += char;
+            }
+        } else if (char === '"') {
+            if (field !== '') throw new CsvError('Aspas no meio de um campo sem aspas', line);
+            quoted = true;
+        } else if (char === delimiter) {
+            endField();
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && source[i + 1] === '\n') i++;
+            endRow();
+            line++;
+            rowLine = line;
+        } else {
+            field += char;
+        }
+    }
+    if (quoted) throw new CsvError('Campo entre aspas não foi fechado', rowLine);
+    endRow();
+    return rows;
+}
+
+function escapeField(value, delimiter) {
+    let text = value === undefined || value === null ? '' : String(value);
+    if (typeof value === 'string' && FORMULA_START.test(text)) {
+        text = `'${text}`;
+    }
+    return /["\r\n]/.test(text) || text.includes(delimiter) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// rows: arrays de valores (a primeira costuma ser o cabeçalho); linhas separadas por CRLF
+function stringify(rows, options = {}) {
+    const delimiter = options.delimiter || ',';
+    return rows.map(row => row.map(value => escapeField(value, delimiter)).join(delimiter)).join('\r\n') + '\r\n';
+}
+
+module.exports = { parse, stringify, CsvError };
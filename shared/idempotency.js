@@ -0,0 +1,108 @@
+const crypto = require('crypto');
+const JsonDatabase = require('./JsonDatabase');
+
+// Suporte ao header Idempotency-Key em requisições POST: a primeira resposta é guardada
+// e devolvida novamente quando o cliente (ou o gateway) repete a requisição com a mesma chave.
+// A chave vale por usuário, método e caminho; repetir a chave com outro corpo é rejeitado.
+
+const DEFAULT_TTL_MS = 24 * 60 * 60 * 1000;
+const MAX_KEY_LENGTH = 255;
+// Repetição que chega enquanto a primeira ainda executa: aguarda a resposta por até PROCESSING_WAIT_MS
+const PROCESSING_WAIT_MS = 3000;
+const PROCESSING_POLL_MS = 100;
+
+function hash(value) {
+    return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+// db: JsonDatabase dedicada (ex.: coleção 'idempotency_keys'); usar após o authMiddleware
+function createIdempotencyMiddleware(db, options = {}) {
+    const ttlMs = options.ttlMs || DEFAULT_TTL_MS;
+    const processingWaitMs = options.processingWaitMs !== undefined ? options.processingWaitMs : PROCESSING_WAIT_MS;
+
+    async function pruneExpired() {
+        const expired = await db.find({ expiresAt: { $lt: new Date().toISOString() } });
+        for (const record of expired) {
+            await db.delete(record.id).catch(() => {});
+        }
+    }
+
+    // Relê a chave até a primeira requisição terminar (ou liberar a chave) ou o prazo acabar
+    async function waitWhileProcessing(id) {
+        const deadline = Date.now() + processingWaitMs;
+        let record = await db.findById(id);
+        while (record && record.status === 'processing' && Date.now() < deadline) {
+            await new Promise(resolve => setTimeout(resolve, PROCESSING_POLL_MS));
+            record = await db.findById(id);
+        }
+        return record;
+    }
+
+    function replay(res, record) {
+        res.set('Idempotent-Replayed', 'true');
+        res.status(record.responseStatus).json(record.responseBody);
+    }
+
+    return async function idempotencyMiddleware(req, res, next) {
+        const key = req.header('Idempotency-Key');
+        if (!key) return next();
+
+        if (key.length > MAX_KEY_LENGTH) {
+            return res.status(400).json({ success: false, message: `Idempotency-Key deve ter no máximo ${MAX_KEY_LENGTH} caracteres` });
+        }
+
+        const userId = req.user ? req.user.id : 'anonymous';
+        const id = hash(`${userId}:${req.method}:${req.originalUrl.split('?')[0]}:${key}`);
+        const requestHash = hash(JSON.stringify(req.body || {}));
+
+        try {
+            // create() falha com DuplicateKeyError se a chave já foi usada: reserva atômica
+            await db.create({
+                id,
+                status: 'processing',
+                requestHash,
+                expiresAt: new Date(Date.now() + ttlMs).toISOString()
+            });
+        } catch (error) {
+            if (!(error instanceof JsonDatabase.DuplicateKeyError)) {
+                return next(error);
+            }
+
+            const record = await waitWhileProcessing(id);
+            if (!record || new Date(record.expiresAt) < new Date()) {
+                // Chave expirada: liberar e tentar de novo como requisição nova
+                if (record) await db.delete(id).catch(() => {});
+                return idempotencyMiddleware(req, res, next);
+            }
+            if (record.requestHash !== requestHash) {
+                return res.status(422).json({ success: false, message: 'Idempotency-Key já usada com outro corpo de requisição' });
+            }
+            if (record.status === 'processing') {
+                // Retry-After marca o 409 como temporário: o gateway repete a requisição
+                res.set('Retry-After', '1');
+                return res.status(409).json({ success: false, message: 'Requisição com esta Idempotency-Key ainda em processamento' });
+            }
+            return replay(res, record);
+        }
+
+        // Capturar a resposta do handler para guardá-la
+        const originalJson = res.json.bind(res);
+        res.json = body => {
+            res.json = originalJson;
+            const status = res.statusCode;
+            const save = status >= 500
+                // Erro do servidor: liberar a chave para que o cliente possa tentar de novo
+                ? db.delete(id)
+                : db.update(id, { status: 'completed', responseStatus: status, responseBody: body });
+            // Responder só depois de gravar, para que uma repetição imediata já encontre a resposta
+            save.catch(error => console.error('Erro ao registrar Idempotency-Key:', error))
+                .finally(() => originalJson(body));
+            return res;
+        };
+
+        pruneExpired().catch(() => {});
+        next();
+    };
+}
+
+module.exports = { createIdempotencyMiddleware };
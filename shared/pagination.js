@@ -0,0 +1,250 @@
+const { QueryError } = require('./JsonDatabase');
+const auth = require('./auth');
+
+// Convenção de paginação, ordenação e filtros das rotas que listam coleções:
+//   ?page=2&pageSize=20               paginação por página (`limit` é aceito como sinônimo de pageSize)
+//   ?cursor=<nextCursor>              próxima página a partir do último item da anterior; estável com
+//                                     inserções e remoções (ignora `page`)
+//   ?sort=-updatedAt,name             ordenação; "-" indica ordem decrescente
+//   ?status=active,completed          filtro por igualdade (vírgula: qualquer um dos valores)
+//   ?averagePrice[gte]=5&averagePrice[lte]=10   faixas com gt, gte, lt e lte
+// As respostas trazem `pagination: { page, pageSize, total, totalPages, nextCursor }` e os headers
+// `X-Total-Count` e `Link` (first, prev, next, last).
+
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+const RANGE_OPERATORS = ['gt', 'gte', 'lt', 'lte'];
+
+function parseValue(field, type, raw) {
+    const value = String(raw).trim();
+    switch (type) {
+        case 'number': {
+            const number = Number(value);
+            if (value === '' || !Number.isFinite(number)) throw new QueryError(`${field} deve ser um número`);
+            return number;
+        }
+        case 'boolean':
+            if (value !== 'true' && value !== 'false') throw new QueryError(`${field} deve ser true ou false`);
+            return value === 'true';
+        case 'date': {
+            const time = Date.parse(value);
+            if (Number.isNaN(time)) throw new QueryError(`${field} deve ser uma data válida`);
+            return new Date(time).toISOString();
+        }
+        default:
+            return value;
+    }
+}
+
+// Filtro do JsonDatabase a partir dos parâmetros declarados em `filters` ({ campo: tipo })
+function parseFilters(query, filters) {
+    const filter = {};
+    Object.entries(filters).forEach(([field, type]) => {
+        const raw = query[field];
+        if (raw === undefined || raw === '') return;
+
+        if (raw !== null && typeof raw === 'object' && !Array.isArray(raw)) {
+            if (type !== 'number' && type !== 'date') {
+                throw new QueryError(`${field} não aceita faixas`);
+            }
+            filter[field] = {};
+            Object.entries(raw).forEach(([operator, value]) => {
+                if (!RANGE_OPERATORS.includes(operator)) {
+                    throw new QueryError(`Operador inválido em ${field}: ${operator} (use: ${RANGE_OPERATORS.join(', ')})`);
+                }
+                filter[field][`$${operator}`] = parseValue(field, type, value);
+            });
+            return;
+        }
+
+        const values = [].concat(raw).flatMap(value => String(value).split(',')).map(value => parseValue(field, type, value));
+        filter[field] = values.length === 1 ? values[0] : { $in: values };
+    });
+    return filter;
+}
+
+// "-updatedAt,name" -> [['updatedAt', -1], ['name', 1], ['id', 1]]; `id` desempata a ordem
+function parseSort(raw, sortable, defaultSort) {
+    const fields = String(raw || defaultSort || '').split(',').map(field => field.trim()).filter(Boolean);
+    const sort = fields.map(field => {
+        const name = field.replace(/^[-+]/, '');
+        if (!sortable.includes(name)) {
+            throw new QueryError(`Ordenação inválida: ${name}${sortable.length ? ` (use: ${sortable.join(', ')})` : ''}`);
+        }
+        return [name, field.startsWith('-') ? -1 : 1];
+    });
+    if (!sort.some(([name]) => name === 'id')) sort.push(['id', 1]);
+    return sort;
+}
+
+function encodeCursor(payload) {
+    return Buffer.from(JSON.stringify(payload)).toString('base64url');
+}
+
+// O cursor vem do cliente: só objeto simples, e os valores da ordenação só como escalares
+// (um objeto viraria operador do filtro, ex.: { "$regex": ... })
+const CURSOR_VALUE_TYPES = ['string', 'number', 'boolean'];
+
+function decodeCursor(cursor) {
+    let payload;
+    try {
+        payload = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    } catch (error) {
+        throw new QueryError('cursor inválido');
+    }
+    if (payload === null || typeof payload !== 'object' || Array.isArray(payload)) {
+        throw new QueryError('cursor inválido');
+    }
+    if (payload.values !== undefined && (!Array.isArray(payload.values)
+        || !payload.values.every(value => value === null || CURSOR_VALUE_TYPES.includes(typeof value)))) {
+        throw new QueryError('cursor inválido');
+    }
+    return payload;
+}
+
+function getValue(document, field) {
+    return field.split('.').reduce((current, key) => (current ? current[key] : undefined), document);
+}
+
+// Documentos depois do último da página anterior na ordenação `sort`:
+// (a > va) OR (a = va AND b > vb) OR ...
+function keysetFilter(sort, values) {
+    return {
+        $or: sort.map(([field, direction], index) => {
+            const condition = {};
+            sort.slice(0, index).forEach(([previous], previousIndex) => {
+                condition[previous] = { $eq: values[previousIndex] };
+            });
+            condition[field] = { [direction === -1 ? '$lt' : '$gt']: values[index] };
+            return condition;
+        })
+    };
+}
+
+// query: req.query. spec: {
+//   filters: { campo: 'string' | 'number' | 'boolean' | 'date' },
+//   sortable: campos aceitos em ?sort= (devem existir em todos os documentos, por causa do cursor),
+//   defaultSort, defaultPageSize, maxPageSize
+// }
+// Sem `sortable` (ex.: busca ordenada por relevância) o cursor guarda apenas a posição.
+function parseListQuery(query, spec = {}) {
+    const requested = parseInt(query.pageSize || query.limit, 10) || spec.defaultPageSize || DEFAULT_PAGE_SIZE;
+    const pageSize = Math.min(Math.max(requested, 1), spec.maxPageSize || MAX_PAGE_SIZE);
+    const filter = parseFilters(query, spec.filters || {});
+    const sortable = spec.sortable || [];
+    const sort = sortable.length > 0 ? parseSort(query.sort, sortable, spec.defaultSort) : null;
+    if (!sort && query.sort) {
+        throw new QueryError('Esta rota não aceita ?sort=');
+    }
+    const sortKey = sort ? sort.map(([field, direction]) => `${direction === -1 ? '-' : ''}${field}`).join(',') : '';
+
+    const listQuery = { pageSize, filter, sort, sortKey, page: 1, skip: 0, cursor: null };
+    if (query.cursor) {
+        const cursor = decodeCursor(query.cursor);
+        if (cursor.sort !== sortKey) {
+            throw new QueryError('cursor criado com outra ordenação; repita a consulta sem cursor');
+        }
+        listQuery.cursor = cursor;
+        listQuery.page = null;
+        if (sort) {
+            if (!Array.isArray(cursor.values) || cursor.values.length !== sort.length) throw new QueryError('cursor inválido');
+        } else {
+            if (!Number.isInteger(cursor.offset) || cursor.offset < 0) throw new QueryError('cursor inválido');
+            listQuery.skip = cursor.offset;
+        }
+    } else {
+        listQuery.page = Math.max(parseInt(query.page, 10) || 1, 1);
+        listQuery.skip = (listQuery.page - 1) * pageSize;
+    }
+    return listQuery;
+}
+
+function buildPagination(listQuery, total, nextCursorPayload) {
+    return {
+        page: listQuery.page,
+        pageSize: listQuery.pageSize,
+        total,
+        totalPages: Math.ceil(total / listQuery.pageSize),
+        nextCursor: nextCursorPayload ? encodeCursor({ sort: listQuery.sortKey, ...nextCursorPayload }) : null
+    };
+}
+
+// Página de `db.find` conforme listQuery; `filter` é combinado com os filtros da query string.
+// Retorna { data, pagination }.
+async function findPage(db, filter, listQuery, options = {}) {
+    const baseFilter = Object.keys(listQuery.filter).length > 0 ? { $and: [filter, listQuery.filter] } : filter;
+    const pageFilter = listQuery.cursor && listQuery.sort
+        ? { $and: [baseFilter, keysetFilter(listQuery.sort, listQuery.cursor.values)] }
+        : baseFilter;
+
+    const total = await db.count(baseFilter);
+    // Um documento a mais indica se há próxima página
+    const documents = await db.find(pageFilter, {
+        sort: Object.fromEntries(listQuery.sort),
+        skip: listQuery.cursor ? 0 : listQuery.skip,
+        limit: listQuery.pageSize + 1
+    });
+    const data = documents.slice(0, listQuery.pageSize);
+    const last = data[data.length - 1];
+    const nextCursor = documents.length > listQuery.pageSize
+        ? { values: listQuery.sort.map(([field]) => getValue(last, field)) }
+        : null;
+    return {
+        data: options.projection ? data.map(document => db.applyProjection(document, options.projection)) : data,
+        pagination: buildPagination(listQuery, total, nextCursor)
+    };
+}
+
+// Paginação de resultados já ordenados por outro critério (ex.: relevância), com cursor por posição
+function offsetPagination(listQuery, total) {
+    const nextOffset = listQuery.skip + listQuery.pageSize;
+    return buildPagination(listQuery, total, nextOffset < total ? { offset: nextOffset } : null);
+}
+
+// URL pública da rota: atrás do gateway usa os headers X-Forwarded-* que ele envia (só com a
+// assinatura dele); no próprio gateway, `req.publicOrigin`; em chamadas diretas, a própria requisição
+function publicUrl(req) {
+    const { proto, host, prefix } = auth.verifiedForwardedHeaders(req)
+        || req.publicOrigin
+        || { proto: req.protocol, host: req.get('Host'), prefix: '' };
+    return `${proto}://${host}${prefix}${req.path}`;
+}
+
+function pageLink(req, changes) {
+    const params = new URLSearchParams(req.originalUrl.split('?')[1] || '');
+    ['page', 'cursor'].forEach(name => params.delete(name));
+    Object.entries(changes).forEach(([name, value]) => params.set(name, value));
+    return `${publicUrl(req)}?${params.toString()}`;
+}
+
+function setPaginationHeaders(req, res, pagination) {
+    const links = [];
+    if (pagination.page) {
+        const lastPage = Math.max(pagination.totalPages, 1);
+        links.push([pageLink(req, { page: 1 }), 'first']);
+        if (pagination.page > 1) links.push([pageLink(req, { page: Math.min(pagination.page - 1, lastPage) }), 'prev']);
+        if (pagination.page < pagination.totalPages) links.push([pageLink(req, { page: pagination.page + 1 }), 'next']);
+        links.push([pageLink(req, { page: lastPage }), 'last']);
+    } else if (pagination.nextCursor) {
+        links.push([pageLink(req, { cursor: pagination.nextCursor }), 'next']);
+    }
+    res.set('X-Total-Count', String(pagination.total));
+    if (links.length > 0) {
+        res.set('Link', links.map(([url, rel]) => `<${url}>; rel="${rel}"`).join(', '));
+    }
+}
+
+// Resposta padrão das rotas de coleção: { success, data, pagination } + headers de paginação
+function sendPage(req, res, { data, pagination }) {
+    setPaginationHeaders(req, res, pagination);
+    res.json({ success: true, data, pagination });
+}
+
+module.exports = {
+    parseListQuery,
+    findPage,
+    offsetPagination,
+    sendPage,
+    DEFAULT_PAGE_SIZE,
+    MAX_PAGE_SIZE
+};
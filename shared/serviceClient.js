@@ -0,0 +1,57 @@
+const axios = require('axios');
+const serviceRegistry = require('./serviceRegistry');
+
+// Chamadas entre serviços via service discovery: a instância é escolhida pelo registry
+// (com balanceamento) e, se ela recusar a conexão, é marcada como não saudável e a
+// requisição vai para outra instância.
+
+const DEFAULT_TIMEOUT_MS = 5000;
+// Erros em que a conexão não foi estabelecida: a requisição não chegou ao serviço
+const CONNECTION_ERRORS = ['ECONNREFUSED', 'EHOSTUNREACH', 'ENOTFOUND'];
+
+class ServiceUnavailableError extends Error {
+    constructor(serviceName, cause) {
+        super(`Serviço indisponível: ${serviceName}`);
+        this.name = 'ServiceUnavailableError';
+        this.code = 'SERVICE_UNAVAILABLE';
+        this.serviceName = serviceName;
+        this.cause = cause;
+    }
+}
+
+// config: opções do axios, com `path` no lugar de `url` (ex.: { path: '/items/1', headers })
+async function requestService(serviceName, config = {}) {
+    const { path = '/', ...axiosConfig } = config;
+    const failedInstances = [];
+
+    for (;;) {
+        let instance;
+        try {
+            instance = serviceRegistry.discover(serviceName, { exclude: failedInstances });
+        } catch (error) {
+            throw new ServiceUnavailableError(serviceName, error);
+        }
+
+        const done = serviceRegistry.trackConnection(instance.id);
+        try {
+            return await axios({
+                method: 'GET',
+                timeout: DEFAULT_TIMEOUT_MS,
+                ...axiosConfig,
+                url: `${instance.url}${path}`
+            });
+        } catch (error) {
+            if (!error.response && CONNECTION_ERRORS.includes(error.code)) {
+                console.warn(`Instância ${instance.id} indisponível (${error.code}); tentando outra instância`);
+                serviceRegistry.updateHealth(serviceName, false, instance.id);
+                failedInstances.push(instance.id);
+                continue;
+            }
+            throw error;
+        } finally {
+            done();
+        }
+    }
+}
+
+module.exports = { requestService, ServiceUnavailableError };
@@ -0,0 +1,89 @@
+const { requestService } = require('./serviceClient');
+
+// Lista de tokens revogados (logout, logout em todos os dispositivos), mantida pelo user-service.
+// Os demais serviços e o gateway sincronizam a lista periodicamente (user-service encontrado pelo
+// service registry) e consultam em memória, sem uma chamada HTTP por requisição. Se a lista ficar
+// sem sincronizar por mais de REVOCATION_MAX_STALENESS ms, os JWTs são recusados até a próxima
+// sincronização: sem ela não é possível saber se um token foi revogado.
+
+const DEFAULT_SYNC_INTERVAL_MS = 2000;
+const DEFAULT_MAX_STALENESS_MS = 30000;
+
+class TokenRevocationList {
+    constructor() {
+        this.tokens = new Map(); // jti -> expiresAt (ms)
+        this.users = new Map(); // userId -> { issuedBefore (ms), expiresAt (ms) }
+        this.timer = null;
+        this.lastSync = null;
+        this.lastError = null;
+        this.maxStalenessMs = Number(process.env.REVOCATION_MAX_STALENESS) || DEFAULT_MAX_STALENESS_MS;
+    }
+
+    async sync() {
+        // Carregado aqui: shared/auth depende deste módulo
+        const auth = require('./auth');
+        try {
+            const response = await requestService('user-service', {
+                path: '/auth/revocations',
+                headers: auth.serviceIdentityHeaders(),
+                timeout: 3000
+            });
+            const { tokens = [], users = [] } = response.data.data || {};
+
+            this.tokens = new Map(tokens.map(entry => [entry.jti, Date.parse(entry.expiresAt)]));
+            this.users = new Map(users.map(entry => [entry.userId, {
+                issuedBefore: entry.issuedBefore,
+                expiresAt: Date.parse(entry.expiresAt)
+            }]));
+            this.lastSync = Date.now();
+            this.lastError = null;
+        } catch (error) {
+            this.lastError = error.message;
+            console.error('Erro ao sincronizar tokens revogados:', error.message);
+        }
+    }
+
+    startSync(intervalMs = Number(process.env.REVOCATION_SYNC_INTERVAL) || DEFAULT_SYNC_INTERVAL_MS) {
+        if (this.timer) return;
+        this.sync();
+        this.timer = setInterval(() => this.sync(), intervalMs);
+        this.timer.unref();
+    }
+
+    // Só vale para processos que sincronizam a lista (o user-service consulta o próprio banco)
+    isStale() {
+        return !!this.timer && (!this.lastSync || Date.now() - this.lastSync > this.maxStalenessMs);
+    }
+
+    // Estado para os health checks
+    getStatus() {
+        return {
+            lastSync: this.lastSync ? new Date(this.lastSync).toISOString() : null,
+            stale: this.isStale(),
+            lastError: this.lastError
+        };
+    }
+
+    // Recebe o payload já verificado do JWT
+    isRevoked(decoded) {
+        const now = Date.now();
+        const tokenExpiresAt = decoded.jti && this.tokens.get(decoded.jti);
+        if (tokenExpiresAt && tokenExpiresAt > now) {
+            return true;
+        }
+        const userRevocation = this.users.get(decoded.id);
+        return !!userRevocation && userRevocation.expiresAt > now &&
+            this.issuedBefore(decoded, userRevocation.issuedBefore);
+    }
+
+    // Token emitido antes do instante (ms) de uma revogação por usuário. Usa a claim `iatMs`:
+    // `iat` tem resolução de segundos e recusaria tokens emitidos logo após a revogação.
+    // Tokens sem `iatMs` (emitidos antes dela existir) são comparados pelo `iat`.
+    issuedBefore(decoded, timestampMs) {
+        const issuedAtMs = Number.isFinite(decoded.iatMs) ? decoded.iatMs : decoded.iat * 1000;
+        return issuedAtMs < timestampMs;
+    }
+}
+
+// Instância singleton compartilhada pelo processo
+module.exports = new TokenRevocationList();
@@ -0,0 +1,115 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const fs = require('fs-extra');
+const JsonDatabase = require('../shared/JsonDatabase');
+
+const { parseFilter, QueryError } = JsonDatabase;
+
+test('parseFilter aceita $regex literal, com ou sem ^', () => {
+    assert.deepStrictEqual(parseFilter('{"name":{"$regex":"arroz"}}'), { name: { $regex: 'arroz' } });
+    assert.doesNotThrow(() => parseFilter('{"name":{"$regex":"^Arroz Tipo 1","$options":"i"}}'));
+    assert.doesNotThrow(() => parseFilter(JSON.stringify({ name: { $regex: 'R\\$ 5\\.00 \\(un\\)' } })));
+    assert.doesNotThrow(() => parseFilter(JSON.stringify({ $or: [{ brand: { $not: { $regex: '^Ve' } } }] })));
+});
+
+test('parseFilter recusa $regex com grupos, alternativas ou quantificadores (ReDoS)', () => {
+    const patterns = [
+        '^(a+)+$',
+        '((a+))+$',
+        '(a|a)*$',
+        '(a|aa)+$',
+        '(.*a){12}',
+        'a+',
+        '(a)\\1',
+        'x|y',
+        '[a-z]*',
+        '\\d+',
+        'a$'
+    ];
+    patterns.forEach(pattern => {
+        assert.throws(
+            () => parseFilter(JSON.stringify({ name: { $regex: pattern } })),
+            QueryError,
+            pattern
+        );
+        assert.throws(
+            () => parseFilter(JSON.stringify({ $and: [{ name: { $not: { $regex: pattern } } }] })),
+            QueryError,
+            `aninhado: ${pattern}`
+        );
+    });
+});
+
+test('parseFilter recusa $regex longo, não textual ou com flags inválidas', () => {
+    assert.throws(() => parseFilter(JSON.stringify({ name: { $regex: 'a'.repeat(101) } })), QueryError);
+    assert.throws(() => parseFilter(JSON.stringify({ name: { $regex: ['a'] } })), QueryError);
+    assert.throws(() => parseFilter(JSON.stringify({ name: { $regex: 'a', $options: 'g' } })), QueryError);
+});
+
+test('lock de processo que não existe mais é retomado; o de processo vivo não', async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'jsondb-'));
+    try {
+        const db = new JsonDatabase(dir, 'docs');
+        await db.ready;
+        const deadPid = spawnSync(process.execPath, ['-e', '']).pid;
+        await fs.writeFile(db.lockPath, `${deadPid}:antigo`);
+        await db.create({ id: 'a' });
+        assert.strictEqual(await fs.pathExists(db.lockPath), false);
+
+        // Dono vivo com lock antigo: não é abandonado só pela idade
+        const livePid = `${process.ppid}:vivo`;
+        await fs.writeFile(db.lockPath, livePid);
+        const old = new Date(Date.now() - 60000);
+        await fs.utimes(db.lockPath, old, old);
+        assert.strictEqual(await db.isLockAbandoned(livePid), false);
+    } finally {
+        await fs.remove(dir);
+    }
+});
+
+test('a escrita só remove o lock se ele ainda for dela', async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'jsondb-'));
+    try {
+        const db = new JsonDatabase(dir, 'docs');
+        await db.create({ id: 'a' });
+        // Outro processo assumiu o lock durante a escrita (ex.: considerou o nosso abandonado)
+        await db.update('a', async () => {
+            await fs.writeFile(db.lockPath, `${process.ppid}:outro`);
+            return { name: 'x' };
+        });
+        assert.strictEqual(await fs.readFile(db.lockPath, 'utf8'), `${process.ppid}:outro`);
+    } finally {
+        await fs.remove(dir);
+    }
+});
+
+test('bulkWrite grava criações e atualizações juntas, ou nada se uma falhar', async () => {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'jsondb-'));
+    try {
+        const db = new JsonDatabase(dir, 'docs', { unique: ['code'] });
+        await db.create({ id: 'a', code: 'A' });
+
+        const written = await db.bulkWrite([
+            { op: 'create', document: { id: 'b', code: 'B' } },
+            { op: 'update', id: 'a', changes: { name: 'x' } },
+            { op: 'update', id: 'nao-existe', changes: { name: 'y' } }
+        ]);
+        assert.deepStrictEqual(written.map(doc => doc && doc.id), ['b', 'a', null]);
+        assert.strictEqual((await db.findById('a')).version, 2);
+
+        await assert.rejects(
+            db.bulkWrite([
+                { op: 'create', document: { id: 'c', code: 'C' } },
+                { op: 'create', document: { id: 'd', code: 'C' } }
+            ]),
+            error => error instanceof JsonDatabase.DuplicateKeyError && error.operationIndex === 0
+        );
+        assert.strictEqual(await db.findById('c'), null);
+        assert.strictEqual(await db.count(), 2);
+    } finally {
+        await fs.remove(dir);
+    }
+});
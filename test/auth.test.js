@@ -0,0 +1,12 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const auth = require('../shared/auth');
+
+test('trustProxySetting converte TRUST_PROXY em boolean, número de proxies ou lista de endereços', () => {
+    assert.strictEqual(auth.trustProxySetting(undefined, 'loopback'), 'loopback');
+    assert.strictEqual(auth.trustProxySetting('', false), false);
+    assert.strictEqual(auth.trustProxySetting('true', false), true);
+    assert.strictEqual(auth.trustProxySetting(' false ', 'loopback'), false);
+    assert.strictEqual(auth.trustProxySetting('2', false), 2);
+    assert.strictEqual(auth.trustProxySetting('loopback, 10.0.0.0/8', false), 'loopback, 10.0.0.0/8');
+});
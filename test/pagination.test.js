@@ -0,0 +1,27 @@
+const test = require('node:test');
+const assert = require('node:assert');
+const pagination = require('../shared/pagination');
+const { QueryError } = require('../shared/JsonDatabase');
+
+const SPEC = { sortable: ['name', 'createdAt'], defaultSort: 'name' };
+const cursor = payload => Buffer.from(JSON.stringify(payload)).toString('base64url');
+
+test('parseListQuery aceita cursor com valores escalares', () => {
+    const listQuery = pagination.parseListQuery({ cursor: cursor({ sort: 'name,id', values: ['Arroz', null] }) }, SPEC);
+    assert.deepStrictEqual(listQuery.cursor.values, ['Arroz', null]);
+});
+
+test('parseListQuery recusa cursor que não é objeto ou com valores que não são escalares', () => {
+    const invalid = [
+        null,
+        'texto',
+        [1, 2],
+        { sort: 'name,id', values: [{ $regex: '^(a+)+$' }, 'x'] },
+        { sort: 'name,id', values: ['Arroz', ['x']] },
+        { sort: 'name,id', values: 'Arroz' }
+    ];
+    invalid.forEach(payload => {
+        assert.throws(() => pagination.parseListQuery({ cursor: cursor(payload) }, SPEC), QueryError, JSON.stringify(payload));
+    });
+    assert.throws(() => pagination.parseListQuery({ cursor: 'nao-e-json' }, SPEC), QueryError);
+});